@@ -1,17 +1,31 @@
 /**
- * Compiles all Markdown under content/questions into src/public/questions.json.
+ * Compiles all Markdown under content/questions into src/public/questions.json (copied to server/questions.json,
+ * which the API server grades against, so server/ deploys on its own),
+ * and the decks under content/decks into src/public/decks.json.
  * Order: stable sort by slug. Validates per spec/question-submission-workflow-spec.md.
  *
  * Body layout: prompt text, then ## Options (alphabet lines, checkbox list, or checkbox + alphabet), ## Expected answer, ## Hints.
+ * Multi-select (`type: multiselect`) lists one `- [x] …` line per correct option under ## Expected answer.
+ * SQL (`type: sql`) adds ## Schema and ## Seed data; the reference query in ## Expected answer must run against them.
+ * Numeric (`type: numeric`) takes its value, tolerance and units from frontmatter; ## Expected answer explains it.
+ * Ordering (`type: ordering`) lists items in the correct order under ## Options and has no ## Expected answer.
+ * Cloze (`type: cloze`) marks blanks in the prompt as `{{answer | alternative | /regex/i}}` and has no ## Expected answer.
+ * Matching (`type: matching`) uses a two-column table under ## Options (one correct pair per row) and has no ## Expected answer.
+ *
+ * Deck layout: frontmatter `slug` and `title`, a description, then ## Questions listing question slugs in quiz order.
  */
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import matter from 'gray-matter';
+import initSqlJs from 'sql.js';
+import { runSqlQuery, stripSqlFence } from '../src/js/sqlRunner.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const PROJECT_ROOT = path.resolve(__dirname, '..');
 const OUT_FILE = path.join(PROJECT_ROOT, 'src', 'public', 'questions.json');
+const SERVER_OUT_FILE = path.join(PROJECT_ROOT, 'server', 'questions.json');
+const DECKS_OUT_FILE = path.join(PROJECT_ROOT, 'src', 'public', 'decks.json');
 
 /** Walk directory for .md files (no extra dependency). */
 async function collectMarkdownFiles(dir) {
@@ -41,10 +55,23 @@ export function normalizeId(id) {
   return String(id);
 }
 
+/** Supported `type` values in frontmatter. */
+export const QUESTION_TYPES = ['objective', 'multiselect', 'subjective', 'sql', 'numeric', 'ordering', 'cloze', 'matching'];
+
+/** Types whose answer is fully defined by ## Options or the prompt, so ## Expected answer must be omitted. */
+const TYPES_WITHOUT_EXPECTED_ANSWER_SECTION = ['ordering', 'cloze', 'matching'];
+
+/** Multi-select grading modes (`scoring` frontmatter). */
+export const MULTISELECT_SCORING_MODES = ['all-or-nothing', 'partial'];
+
 function isInt(n) {
   return typeof n === 'number' && Number.isInteger(n);
 }
 
+function isFiniteNumber(n) {
+  return typeof n === 'number' && Number.isFinite(n);
+}
+
 function require(cond, msg) {
   if (!cond) throw new Error(msg);
 }
@@ -57,7 +84,9 @@ function normalizeSectionTitle(title) {
   if (t === 'options' || t === 'option') return 'options';
   if (t === 'expected answer' || t === 'expectedanswer') return 'expectedAnswer';
   if (t === 'hints' || t === 'hint') return 'hints';
-  throw new Error(`Unknown section heading "## ${title}" (use Options, Expected answer, or Hints)`);
+  if (t === 'schema') return 'schema';
+  if (t === 'seed data' || t === 'seed') return 'seed';
+  throw new Error(`Unknown section heading "## ${title}" (use Options, Expected answer, Hints, Schema, or Seed data)`);
 }
 
 /**
@@ -232,6 +261,132 @@ export function parseObjectiveExpectedAnswerLine(text, options) {
   );
 }
 
+/**
+ * Multi-select `## Expected answer`: one correct option per line, each accepted by
+ * `parseObjectiveExpectedAnswerLine` (`- [x] B. text`, `B. text`, or `- [x] option text`).
+ * Unchecked task items (`- [ ] …`) are ignored so authors can paste the whole option list.
+ * Returns sorted option indices.
+ */
+export function parseMultiSelectExpectedAnswers(text, options) {
+  const lines = text
+    .replace(/\r\n/g, '\n')
+    .split('\n')
+    .map((l) => l.trim())
+    .filter((l) => l.length > 0 && !/^[-*]\s*\[\s*\]/.test(l));
+  require(lines.length > 0, 'multiselect: expected answer must list at least one correct option (- [x] …)');
+
+  const indices = new Set();
+  for (const line of lines) {
+    const { letter, text: optionText } = parseObjectiveExpectedAnswerLine(line, options);
+    const i = letter.charCodeAt(0) - 'A'.charCodeAt(0);
+    require(i >= 0 && i < options.length, `multiselect: expected answer letter ${letter} is out of range`);
+    require(
+      options[i] === optionText,
+      `multiselect: text after ${letter}. must match that option’s text`
+    );
+    require(!indices.has(i), `multiselect: option ${letter} is listed more than once in expected answer`);
+    indices.add(i);
+  }
+  return [...indices].sort((a, b) => a - b);
+}
+
+/** Splits a Markdown table row into trimmed cells (`\|` is a literal pipe inside a cell). */
+function splitTableRow(line) {
+  const cells = line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/);
+  return cells.map((c) => c.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Parse matching ## Options: a two-column Markdown table whose header names the columns
+ * and whose rows are the correct left → right pairs.
+ * @returns {{ columns: string[], pairs: Array<{ left: string, right: string }> }}
+ */
+export function parseMatchingPairs(text) {
+  const lines = text
+    .replace(/\r\n/g, '\n')
+    .split('\n')
+    .map((l) => l.trim())
+    .filter((l) => l.length > 0);
+  require(
+    lines.length >= 2 && lines.every((l) => l.startsWith('|')),
+    'matching: ## Options must be a Markdown table (| Left | Right |)'
+  );
+  const columns = splitTableRow(lines[0]);
+  require(columns.length === 2, 'matching: table must have exactly two columns');
+  require(
+    splitTableRow(lines[1]).every((c) => /^:?-{3,}:?$/.test(c)),
+    'matching: second table line must be the header separator (|---|---|)'
+  );
+
+  const pairs = lines.slice(2).map((line, i) => {
+    const cells = splitTableRow(line);
+    require(cells.length === 2, `matching: row ${i + 1} must have exactly two cells`);
+    require(cells[0].length > 0 && cells[1].length > 0, `matching: row ${i + 1} has an empty cell`);
+    return { left: cells[0], right: cells[1] };
+  });
+  require(pairs.length >= 2, 'matching: need at least two pairs');
+  require(new Set(pairs.map((p) => p.left)).size === pairs.length, 'matching: left column items must be unique');
+  require(new Set(pairs.map((p) => p.right)).size === pairs.length, 'matching: right column items must be unique');
+  return { columns, pairs };
+}
+
+/**
+ * Splits one blank's source on unescaped `|` into accepted alternatives (`\|` is a literal pipe).
+ * `/pattern/flags` alternatives are kept as-is and must compile as a RegExp.
+ */
+function parseBlankAlternatives(source, blankNumber) {
+  const alternatives = [];
+  let current = '';
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\\' && source[i + 1] === '|') {
+      current += '|';
+      i++;
+    } else if (source[i] === '|') {
+      alternatives.push(current.trim());
+      current = '';
+    } else {
+      current += source[i];
+    }
+  }
+  alternatives.push(current.trim());
+
+  require(alternatives.every((a) => a.length > 0), `cloze: blank ${blankNumber} has an empty alternative`);
+  for (const alt of alternatives) {
+    const re = alt.match(/^\/(.+)\/([a-z]*)$/);
+    if (re) {
+      try {
+        new RegExp(re[1], re[2]);
+      } catch (e) {
+        throw new Error(`cloze: blank ${blankNumber} has an invalid regex ${alt}: ${e.message}`);
+      }
+    }
+  }
+  require(
+    !/^\/.+\/[a-z]*$/.test(alternatives[0]),
+    `cloze: blank ${blankNumber} must start with a plain-text answer (regex alternatives can follow)`
+  );
+  return alternatives;
+}
+
+/**
+ * Extracts `{{…}}` blanks from a cloze prompt. Each blank becomes a `{{0}}`, `{{1}}`, … placeholder
+ * in the returned prompt (the card renders an input there) and an entry in `blanks`.
+ * @returns {{ prompt: string, blanks: Array<{ accept: string[] }> }}
+ */
+export function parseClozeBlanks(text) {
+  const blanks = [];
+  const prompt = text.replace(/\{\{([\s\S]+?)\}\}/g, (_, source) => {
+    blanks.push({ accept: parseBlankAlternatives(source, blanks.length + 1) });
+    return `{{${blanks.length - 1}}}`;
+  });
+  require(blanks.length > 0, 'cloze: prompt must contain at least one {{blank}}');
+  return { prompt, blanks };
+}
+
 /**
  * Parse bullet / numbered list items; supports multiline items (indented continuation).
  */
@@ -274,13 +429,18 @@ export function fileToQuestion(filePath, relPath, raw) {
   require(typeof fm.slug === 'string' && fm.slug.trim(), errs('slug required'));
   const slug = fm.slug.trim();
 
-  require(fm.type === 'objective' || fm.type === 'subjective', errs('type must be objective or subjective'));
+  require(QUESTION_TYPES.includes(fm.type), errs(`type must be one of: ${QUESTION_TYPES.join(', ')}`));
 
   require(isInt(fm.version) && fm.version >= 1, errs('version must be integer >= 1'));
 
   require(Array.isArray(fm.labels), errs('labels must be an array'));
   const labels = fm.labels.map((x) => String(x));
 
+  require(
+    fm.timeLimit === undefined || (isInt(fm.timeLimit) && fm.timeLimit > 0),
+    errs('timeLimit must be an integer number of seconds > 0')
+  );
+
   let sections;
   try {
     sections = parseStructuredSections(body);
@@ -295,9 +455,23 @@ export function fileToQuestion(filePath, relPath, raw) {
   require(typeof hintsRaw === 'string' && hintsRaw.length > 0, errs('## Hints section required'));
   const hints = parseMarkdownListItems(hintsRaw);
   require(hints.length >= 2, errs('hints list must have at least 2 items'));
+  require(
+    fm.hintCosts === undefined ||
+      (Array.isArray(fm.hintCosts) &&
+        fm.hintCosts.length === hints.length &&
+        fm.hintCosts.every((c) => isFiniteNumber(c) && c >= 0 && c <= 1)),
+    errs(`hintCosts must list one number between 0 and 1 per hint (${hints.length} hints)`)
+  );
 
   let expectedAnswer = sec.expectedAnswer;
-  require(typeof expectedAnswer === 'string' && expectedAnswer.trim(), errs('## Expected answer section required'));
+  if (TYPES_WITHOUT_EXPECTED_ANSWER_SECTION.includes(fm.type)) {
+    require(
+      expectedAnswer === undefined || expectedAnswer.trim() === '',
+      errs(`${fm.type}: remove ## Expected answer (the answer is defined by ## Options)`)
+    );
+  } else {
+    require(typeof expectedAnswer === 'string' && expectedAnswer.trim(), errs('## Expected answer section required'));
+  }
 
   const base = {
     id,
@@ -307,8 +481,15 @@ export function fileToQuestion(filePath, relPath, raw) {
     hints,
     version: fm.version,
     labels,
+    ...(fm.hintCosts !== undefined ? { hintCosts: fm.hintCosts } : {}),
+    ...(fm.timeLimit !== undefined ? { timeLimit: fm.timeLimit } : {}),
   };
 
+  require(
+    fm.type === 'sql' || ((sec.schema === undefined || sec.schema === '') && (sec.seed === undefined || sec.seed === '')),
+    errs('## Schema and ## Seed data are only allowed for type: sql')
+  );
+
   if (fm.type === 'objective') {
     const optionsRaw = sec.options;
     require(typeof optionsRaw === 'string' && optionsRaw.length > 0, errs('objective: ## Options section required'));
@@ -336,6 +517,116 @@ export function fileToQuestion(filePath, relPath, raw) {
     return { ...base, options, expectedAnswer: options[letterIndex] };
   }
 
+  if (fm.type === 'multiselect') {
+    const optionsRaw = sec.options;
+    require(typeof optionsRaw === 'string' && optionsRaw.length > 0, errs('multiselect: ## Options section required'));
+    const scoring = fm.scoring === undefined ? 'all-or-nothing' : fm.scoring;
+    require(
+      MULTISELECT_SCORING_MODES.includes(scoring),
+      errs(`multiselect: scoring must be one of: ${MULTISELECT_SCORING_MODES.join(', ')}`)
+    );
+    let options;
+    let indices;
+    try {
+      options = parseObjectiveOptions(optionsRaw);
+      indices = parseMultiSelectExpectedAnswers(expectedAnswer, options);
+    } catch (e) {
+      throw new Error(errs(e.message.replace(/^objective:/, 'multiselect:')));
+    }
+    return { ...base, options, expectedAnswer: indices.map((i) => options[i]), scoring };
+  }
+
+  if (fm.type === 'sql') {
+    require(
+      sec.options === undefined || String(sec.options).trim() === '',
+      errs('sql: remove ## Options section')
+    );
+    require(typeof sec.schema === 'string' && sec.schema.length > 0, errs('sql: ## Schema section required'));
+    require(
+      fm.orderSensitive === undefined || typeof fm.orderSensitive === 'boolean',
+      errs('sql: orderSensitive must be true or false')
+    );
+    return {
+      ...base,
+      expectedAnswer: stripSqlFence(expectedAnswer),
+      schema: stripSqlFence(sec.schema),
+      seed: sec.seed ? stripSqlFence(sec.seed) : '',
+      orderSensitive: fm.orderSensitive === true,
+    };
+  }
+
+  if (fm.type === 'ordering') {
+    const optionsRaw = sec.options;
+    require(typeof optionsRaw === 'string' && optionsRaw.length > 0, errs('ordering: ## Options section required'));
+    const options = parseMarkdownListItems(optionsRaw.replace(/\r\n/g, '\n'));
+    require(options.length >= 2, errs('ordering: ## Options must list at least two items (- … or 1. …)'));
+    require(new Set(options).size === options.length, errs('ordering: ## Options items must be unique'));
+    return { ...base, options, expectedAnswer: options };
+  }
+
+  if (fm.type === 'matching') {
+    const optionsRaw = sec.options;
+    require(typeof optionsRaw === 'string' && optionsRaw.length > 0, errs('matching: ## Options section required'));
+    let matching;
+    try {
+      matching = parseMatchingPairs(optionsRaw);
+    } catch (e) {
+      throw new Error(errs(e.message));
+    }
+    return {
+      ...base,
+      columns: matching.columns,
+      pairs: matching.pairs,
+      expectedAnswer: matching.pairs.map((p) => p.right),
+    };
+  }
+
+  if (fm.type === 'cloze') {
+    require(
+      sec.options === undefined || String(sec.options).trim() === '',
+      errs('cloze: remove ## Options section')
+    );
+    let cloze;
+    try {
+      cloze = parseClozeBlanks(prompt);
+    } catch (e) {
+      throw new Error(errs(e.message));
+    }
+    return {
+      ...base,
+      question: cloze.prompt,
+      expectedAnswer: cloze.blanks.map((b) => b.accept[0]),
+      blanks: cloze.blanks,
+    };
+  }
+
+  if (fm.type === 'numeric') {
+    require(
+      sec.options === undefined || String(sec.options).trim() === '',
+      errs('numeric: remove ## Options section')
+    );
+    require(isFiniteNumber(fm.expectedValue), errs('numeric: expectedValue must be a number in frontmatter'));
+    require(
+      fm.tolerance === undefined || fm.relativeTolerance === undefined,
+      errs('numeric: set either tolerance (absolute) or relativeTolerance, not both')
+    );
+    require(
+      fm.tolerance === undefined || (isFiniteNumber(fm.tolerance) && fm.tolerance >= 0),
+      errs('numeric: tolerance must be a number >= 0')
+    );
+    require(
+      fm.relativeTolerance === undefined || (isFiniteNumber(fm.relativeTolerance) && fm.relativeTolerance >= 0),
+      errs('numeric: relativeTolerance must be a number >= 0 (e.g. 0.05 for 5%)')
+    );
+    const units = fm.units === undefined ? [] : [].concat(fm.units).map((u) => String(u).trim());
+    require(units.every((u) => u.length > 0), errs('numeric: units must be a non-empty string or array of strings'));
+    const numeric = { ...base, expectedAnswer: expectedAnswer.trim(), expectedValue: fm.expectedValue };
+    if (fm.tolerance !== undefined) numeric.tolerance = fm.tolerance;
+    if (fm.relativeTolerance !== undefined) numeric.relativeTolerance = fm.relativeTolerance;
+    if (units.length > 0) numeric.units = units;
+    return numeric;
+  }
+
   expectedAnswer = expectedAnswer.trim();
   const baseWithAnswer = { ...base, expectedAnswer };
 
@@ -356,6 +647,23 @@ export function fileToQuestion(filePath, relPath, raw) {
   };
 }
 
+/**
+ * Runs each sql question's reference query against its schema and seed rows; throws on the first failure.
+ * sql.js is only initialized when the bank contains sql questions.
+ */
+export async function validateSqlQuestions(parsed) {
+  const sqlQuestions = parsed.filter(({ q }) => q.type === 'sql');
+  if (sqlQuestions.length === 0) return;
+  const SQL = await initSqlJs();
+  for (const { rel, q } of sqlQuestions) {
+    try {
+      runSqlQuery(SQL, q, q.expectedAnswer);
+    } catch (e) {
+      throw new Error(`${rel}: sql: reference query failed against schema and seed data: ${e.message}`);
+    }
+  }
+}
+
 /**
  * Load all questions from disk, validate uniqueness, return sorted array.
  */
@@ -386,23 +694,97 @@ export async function compileQuestions(projectRoot = PROJECT_ROOT) {
     bySlug.set(q.slug, rel);
   }
 
+  await validateSqlQuestions(parsed);
+
   parsed.sort((a, b) => a.q.slug.localeCompare(b.q.slug));
   return parsed.map((p) => p.q);
 }
 
 /**
- * Write questions.json with deterministic formatting.
+ * Parse and validate one deck file; returns the runtime deck object or throws.
+ * Question slugs are checked against the compiled questions in compileDecks.
  */
-export async function writeQuestionsJson(questions, outPath = OUT_FILE) {
-  const json = JSON.stringify(questions, null, 2) + '\n';
+export function fileToDeck(relPath, raw) {
+  const { data: fm, content: body } = matter(raw);
+  const errs = (m) => `${relPath}: ${m}`;
+
+  require(fm && typeof fm === 'object', errs('missing frontmatter'));
+  require(typeof fm.slug === 'string' && fm.slug.trim(), errs('slug required'));
+  require(typeof fm.title === 'string' && fm.title.trim(), errs('title required'));
+
+  const text = body.replace(/\r\n/g, '\n');
+  const headings = [...text.matchAll(/^##\s+(.+)$/gm)];
+  require(
+    headings.length === 1 && headings[0][1].trim().toLowerCase() === 'questions',
+    errs('body must be a description followed by a single ## Questions section')
+  );
+  const description = text.slice(0, headings[0].index).trim();
+  require(description.length > 0, errs('description required before ## Questions'));
+
+  const questions = parseMarkdownListItems(text.slice(headings[0].index + headings[0][0].length));
+  require(questions.length > 0, errs('## Questions must list at least one question slug'));
+  const seen = new Set();
+  for (const slug of questions) {
+    require(!seen.has(slug), errs(`question "${slug}" listed twice`));
+    seen.add(slug);
+  }
+
+  return { slug: fm.slug.trim(), title: fm.title.trim(), description, questions };
+}
+
+/**
+ * Load all decks from content/decks (optional), check slugs are unique and every listed question exists.
+ * @param {Array<{ slug: string }>} questions - Compiled questions
+ */
+export async function compileDecks(questions, projectRoot = PROJECT_ROOT) {
+  const files = await collectMarkdownFiles(path.join(projectRoot, 'content', 'decks'));
+  const questionSlugs = new Set(questions.map((q) => q.slug));
+  const bySlug = new Map();
+  const decks = [];
+  for (const abs of files) {
+    const rel = path.relative(projectRoot, abs);
+    const deck = fileToDeck(rel, await fs.readFile(abs, 'utf8'));
+    if (bySlug.has(deck.slug)) {
+      throw new Error(`Duplicate deck slug "${deck.slug}" in ${rel} and ${bySlug.get(deck.slug)}`);
+    }
+    bySlug.set(deck.slug, rel);
+    const unknown = deck.questions.filter((slug) => !questionSlugs.has(slug));
+    require(unknown.length === 0, `${rel}: unknown question slug(s): ${unknown.join(', ')}`);
+    decks.push(deck);
+  }
+  decks.sort((a, b) => a.slug.localeCompare(b.slug));
+  return decks;
+}
+
+/** Write JSON with deterministic formatting. */
+async function writeJsonFile(data, outPath) {
+  const json = JSON.stringify(data, null, 2) + '\n';
   await fs.mkdir(path.dirname(outPath), { recursive: true });
   await fs.writeFile(outPath, json, 'utf8');
 }
 
+/**
+ * Write questions.json with deterministic formatting.
+ */
+export async function writeQuestionsJson(questions, outPath = OUT_FILE) {
+  await writeJsonFile(questions, outPath);
+}
+
+/**
+ * Write decks.json with deterministic formatting.
+ */
+export async function writeDecksJson(decks, outPath = DECKS_OUT_FILE) {
+  await writeJsonFile(decks, outPath);
+}
+
 async function main() {
   const questions = await compileQuestions();
+  const decks = await compileDecks(questions);
   await writeQuestionsJson(questions);
-  console.log(`Wrote ${questions.length} questions to ${path.relative(PROJECT_ROOT, OUT_FILE)}`);
+  await writeQuestionsJson(questions, SERVER_OUT_FILE);
+  await writeDecksJson(decks);
+  console.log(`Wrote ${questions.length} questions to ${path.relative(PROJECT_ROOT, OUT_FILE)} and ${path.relative(PROJECT_ROOT, SERVER_OUT_FILE)}`);
+  console.log(`Wrote ${decks.length} decks to ${path.relative(PROJECT_ROOT, DECKS_OUT_FILE)}`);
 }
 
 const isMain =
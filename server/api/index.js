@@ -1,5 +1,4 @@
 import express from 'express';
-import { ResilientLLM } from 'resilient-llm';
 import cors from 'cors';
 import fs from 'fs/promises';
 import path from 'path';
@@ -9,35 +8,101 @@ import {
   isValidSlug,
   markdownFilename,
 } from '../lib/questionToMarkdown.js';
+import { createProgressStore, validateAnswerRecords, validateResets } from '../lib/progressStore.js';
+import {
+  EVALUATION_CONTRACT_VERSION,
+  EvaluationFormatError,
+  partialEvaluationText,
+  requestEvaluation,
+  toEvaluationResponse,
+} from '../lib/evaluation.js';
+import { createQuestionBank, getRubric } from '../lib/questionBank.js';
+import { createLLMProvider } from '../lib/llmProviders.js';
+import { createEvaluationCache, evaluationCacheKey } from '../lib/evaluationCache.js';
+import { parseRateLimit, rateLimit } from '../lib/rateLimit.js';
+import { openEventStream } from '../lib/sse.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+// Chat backend: openai, openai-compatible or mock (see ../lib/llmProviders.js)
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'openai';
+// Base URL of an OpenAI-compatible server, e.g. http://localhost:11434/v1; LLM_API_KEY defaults to OPENAI_API_KEY
+const LLM_BASE_URL = process.env.LLM_BASE_URL;
+const LLM_API_KEY = process.env.LLM_API_KEY || OPENAI_API_KEY;
 const EVALUATION_MODEL = process.env.EVALUATION_MODEL || 'gpt-4o-mini';
+// Model calls time out after LLM_TIMEOUT ms (including a streamed reply) and are retried LLM_RETRIES times after
+// network errors, timeouts, 429 and 5xx responses
+const LLM_TIMEOUT = Number(process.env.LLM_TIMEOUT || 60 * 1000);
+const LLM_RETRIES = Number(process.env.LLM_RETRIES ?? 3);
 const ANSWER_MODEL = process.env.ANSWER_MODEL || 'gpt-4o-mini';
 const API_SERVER_PORT = process.env.API_SERVER_PORT || 8000;
 const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS 
         ? process.env.ALLOWED_ORIGINS.split(',') 
         : [];
 const IS_DEVELOPMENT = process.env.NODE_ENV !== 'production';
+// Synced progress: one JSON file per learner. Use a persistent volume in production.
+const PROGRESS_STORE_DIR = process.env.PROGRESS_STORE_DIR || path.join(__dirname, '..', 'data', 'progress');
+// Compiled question bank whose reference answers and keywords /evaluate grades against (`npm run compile:questions` writes it)
+const QUESTION_BANK_PATH = process.env.QUESTION_BANK_PATH || path.join(__dirname, '..', 'questions.json');
+// Cached /evaluate results for bank questions; EVALUATION_CACHE_MAX_ENTRIES=0 turns the cache off
+const EVALUATION_CACHE_DIR = process.env.EVALUATION_CACHE_DIR || path.join(__dirname, '..', 'data', 'evaluation-cache');
+const EVALUATION_CACHE_TTL_HOURS = Number(process.env.EVALUATION_CACHE_TTL_HOURS || 24 * 30);
+const EVALUATION_CACHE_MAX_ENTRIES = Number(process.env.EVALUATION_CACHE_MAX_ENTRIES ?? 10000);
+// Synced progress holds a learner's whole answer history
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '1mb';
+// Body limit of every other route (answers, questions, submissions)
+const REQUEST_BODY_LIMIT = process.env.REQUEST_BODY_LIMIT || '64kb';
+// Longest answer /evaluate accepts (a bank question's own maxLength is used when it sets one), and longest /ask question
+const MAX_ANSWER_LENGTH = Number(process.env.MAX_ANSWER_LENGTH || 5000);
+const MAX_QUESTION_LENGTH = Number(process.env.MAX_QUESTION_LENGTH || 2000);
+// Set behind a reverse proxy (e.g. `1` or `loopback`) so rate limits see client IPs, not the proxy's
+const TRUST_PROXY = process.env.TRUST_PROXY;
+// Token-bucket limits per route as <requests>/<second|minute|hour>, or `off` (see ../lib/rateLimit.js)
+const RATE_LIMITS = {
+  evaluate: {
+    perIp: parseRateLimit(process.env.RATE_LIMIT_EVALUATE_IP, '30/minute'),
+    perLearner: parseRateLimit(process.env.RATE_LIMIT_EVALUATE_LEARNER, '15/minute'),
+  },
+  ask: {
+    perIp: parseRateLimit(process.env.RATE_LIMIT_ASK_IP, '20/minute'),
+    perLearner: parseRateLimit(process.env.RATE_LIMIT_ASK_LEARNER, '10/minute'),
+  },
+  submitQuestion: { perIp: parseRateLimit(process.env.RATE_LIMIT_SUBMIT_QUESTION_IP, '10/hour') },
+  registerLearner: { perIp: parseRateLimit(process.env.RATE_LIMIT_PROGRESS_REGISTER_IP, '10/hour') },
+  progress: {
+    perIp: parseRateLimit(process.env.RATE_LIMIT_PROGRESS_IP, '120/minute'),
+    perLearner: parseRateLimit(process.env.RATE_LIMIT_PROGRESS_LEARNER, '60/minute'),
+  },
+};
 
-// Initialize ResilientLLM instances for evaluation and answer generation
-const evaluationLLM = new ResilientLLM({
-  aiService: 'openai',
-  apiKey: OPENAI_API_KEY,
+// Chat providers for evaluation and answer generation
+const evaluationLLM = createLLMProvider({
+  provider: LLM_PROVIDER,
+  apiKey: LLM_API_KEY,
+  baseUrl: LLM_BASE_URL,
   model: EVALUATION_MODEL,
+  timeoutMs: LLM_TIMEOUT,
+  retries: LLM_RETRIES,
 });
 
-const answerLLM = new ResilientLLM({
-  aiService: 'openai',
-  apiKey: OPENAI_API_KEY,
+const answerLLM = createLLMProvider({
+  provider: LLM_PROVIDER,
+  apiKey: LLM_API_KEY,
+  baseUrl: LLM_BASE_URL,
   model: ANSWER_MODEL,
+  timeoutMs: LLM_TIMEOUT,
+  retries: LLM_RETRIES,
 });
 
 const app = express();        
-app.use(express.json());
+if (TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+}
+app.use('/progress', express.json({ limit: JSON_BODY_LIMIT }));
+app.use(express.json({ limit: REQUEST_BODY_LIMIT }));
 
 const corsOptions = {
   origin: function (origin, callback) {
@@ -53,44 +118,91 @@ const corsOptions = {
       }
     }
   },
+  exposedHeaders: ['X-Evaluation-Cache', 'Retry-After'],
   optionsSuccessStatus: 200 // For legacy browser support
 };
 
 app.use(cors(corsOptions));
 
-async function evaluateAnswer(question, answer) {
-  const conversationHistory = [
-    { 
-      role: 'system', 
-      content: 'You are an expert in data engineering tasked with evaluating answers to technical questions.' 
-    },
-    { 
-      role: 'user', 
-      content: `As an expert in data engineering, please evaluate the following answer to the given question:
+const progressStore = createProgressStore(PROGRESS_STORE_DIR);
 
-Question: ${question}
+/** Sync token from an `Authorization: Bearer <token>` header, or null. */
+const bearerToken = (req) => (req.get('Authorization') || '').match(/^Bearer (.+)$/)?.[1] ?? null;
 
-Answer: ${answer}
+/**
+ * Sets `req.learner` when the request carries a synced learner's credentials (`X-Learner-Id` and their
+ * `Authorization: Bearer <token>`); without valid ones it is served anonymously, under the per-IP limit only.
+ */
+async function identifyLearner(req, res, next) {
+  const learnerId = req.get('X-Learner-Id');
+  const token = bearerToken(req);
+  try {
+    req.learner = learnerId && token ? await progressStore.authenticate(learnerId, token) : null;
+  } catch (error) {
+    console.error('Error reading synced progress:', error);
+    req.learner = null;
+  }
+  next();
+}
 
-Please provide:
-1. A grade from 1 to 10 (where 10 is the best).
-2. An objective evaluation of whether the answer is correct or not.
-3. A brief one-line hint to improve the answer.
+/**
+ * A route's rate limits as middleware: the per-IP limit, then `authenticate` (which sets `req.learner`), then the
+ * per-learner limit of the authenticated learner, so a learner id alone neither avoids it nor spends another learner's.
+ * @param {{ perIp: Object|null, perLearner?: Object|null }} limits - From RATE_LIMITS
+ * @param {import('express').RequestHandler} authenticate
+ * @param {Object} [body] - Extra fields of 429 bodies
+ */
+function learnerRateLimit({ perIp, perLearner = null }, authenticate, body = {}) {
+  return [
+    rateLimit({ perIp, body }),
+    authenticate,
+    rateLimit({ perIp: null, perLearner, learnerId: (req) => req.learner?.learnerId ?? null, body }),
+  ];
+}
 
-Format your response as follows:
-Grade: [Your grade]
-Correct: [Yes/No]
-Hint: [Your one-line hint]
+const questionBank = createQuestionBank(QUESTION_BANK_PATH);
+// Without the bank every /evaluate of a bank question would fail, so refuse to start instead
+try {
+  await questionBank.count();
+} catch (error) {
+  throw new Error(`Cannot load the question bank at ${QUESTION_BANK_PATH} (set QUESTION_BANK_PATH or run \`npm run compile:questions\`): ${error.message}`);
+}
+const evaluationCache = EVALUATION_CACHE_MAX_ENTRIES > 0
+  ? createEvaluationCache(EVALUATION_CACHE_DIR, {
+      ttlMs: EVALUATION_CACHE_TTL_HOURS * 60 * 60 * 1000,
+      maxEntries: EVALUATION_CACHE_MAX_ENTRIES,
+    })
+  : null;
 
-Evaluation:` 
-    }
-  ];
+/**
+ * Reads the cache without failing the request: a broken cache only costs a model call.
+ */
+async function readCachedEvaluation(key) {
+  try {
+    return await evaluationCache.get(key);
+  } catch (error) {
+    console.error('Error reading the evaluation cache:', error);
+    return null;
+  }
+}
 
-  const response = await evaluationLLM.chat(conversationHistory);
-  return response;
+/**
+ * Grades an answer with the evaluation model (structured JSON, see ../lib/evaluation.js).
+ * @param {string} question
+ * @param {string} answer
+ * @param {Object|null} [rubric] - Reference answer and keywords from the question bank
+ * @param {{ onText?: ((text: string) => void)|null, signal?: AbortSignal|null }} [options] - `onText` streams the
+ *   model's reply so far (restarting on repair prompts); `signal` stops grading
+ * @throws {EvaluationFormatError} When the model keeps returning malformed output
+ */
+async function evaluateAnswer(question, answer, rubric = null, { onText = null, signal = null } = {}) {
+  const chat = onText
+    ? (messages, context) => evaluationLLM.chatStream(messages, context, onText)
+    : (messages, context) => evaluationLLM.chat(messages, context);
+  return requestEvaluation(chat, question, answer, { rubric, signal });
 }
 
-async function generateAnswer(question) {
+async function generateAnswer(question, { onText = null, signal = null } = {}) {
     const conversationHistory = [
       { 
         role: 'system', 
@@ -102,65 +214,258 @@ async function generateAnswer(question) {
       }
     ];
     
-    const response = await answerLLM.chat(conversationHistory);
+    const context = { task: 'ask', question, signal };
+    const response = onText
+      ? await answerLLM.chatStream(conversationHistory, context, onText)
+      : await answerLLM.chat(conversationHistory, context);
     return response;
   }
 
 app.get("/", (req, res) => res.send("✅ Quiz API Server is running"));
 
+/**
+ * Validates an /evaluate request body and resolves the question to grade (see POST /evaluate).
+ * @returns {Promise<{ error: { status: number, body: Object } }|{ question: string, answer: string, bankQuestion: Object|null }>}
+ */
+async function resolveEvaluationRequest(body) {
+  const { questionId, version, answer } = body;
+  let { question } = body;
+  const reject = (status, error, extra = {}) => ({ error: { status, body: { contractVersion: EVALUATION_CONTRACT_VERSION, error, ...extra } } });
+
+  if (questionId === undefined ? !question || !answer : !answer) {
+    return reject(400, "Both question and answer must be provided");
+  }
+  if (typeof answer !== 'string' || (questionId === undefined && typeof question !== 'string')) {
+    return reject(400, "The question and answer must be text");
+  }
+  if (questionId === undefined && question.length > MAX_QUESTION_LENGTH) {
+    return reject(413, `The question is longer than ${MAX_QUESTION_LENGTH} characters`);
+  }
+
+  let bankQuestion = null;
+  if (questionId !== undefined) {
+    bankQuestion = await questionBank.get(questionId);
+    if (!bankQuestion) {
+      return reject(404, "Unknown question");
+    }
+    if (bankQuestion.type !== 'subjective') {
+      return reject(400, "Only subjective questions are graded by /evaluate");
+    }
+    if (version !== undefined && version !== bankQuestion.version) {
+      console.warn(`Grading question ${questionId} at version ${bankQuestion.version} (client has ${version})`);
+    }
+    question = bankQuestion.question;
+  }
+  const maxLength = bankQuestion?.maxLength > 0 ? bankQuestion.maxLength : MAX_ANSWER_LENGTH;
+  if (answer.length > maxLength) {
+    return reject(413, `The answer is longer than ${maxLength} characters`, { maxLength });
+  }
+  return { question, answer, bankQuestion };
+}
+
+/**
+ * Looks the request up in the evaluation cache and sets the `X-Evaluation-Cache` header.
+ * @returns {Promise<{ cacheKey: string|null, cached: Object|null }>}
+ */
+async function lookUpCachedEvaluation({ answer, bankQuestion }, res) {
+  const cacheKey = evaluationCache && bankQuestion
+    ? evaluationCacheKey({
+        questionId: bankQuestion.id,
+        questionVersion: bankQuestion.version,
+        answer,
+        model: `${evaluationLLM.name}/${evaluationLLM.model}`,
+      })
+    : null;
+  const cached = cacheKey && await readCachedEvaluation(cacheKey);
+  res.set('X-Evaluation-Cache', cacheKey ? (cached ? 'hit' : 'miss') : 'bypass');
+  return { cacheKey, cached: cached || null };
+}
+
+/**
+ * Grades a resolved request with the model and caches the result.
+ * @param {{ onText?: ((text: string) => void)|null, signal?: AbortSignal|null }} [options] - See evaluateAnswer
+ */
+async function evaluateAndCache({ question, answer, bankQuestion }, cacheKey, options = {}) {
+  const evaluation = await evaluateAnswer(question, answer, bankQuestion && getRubric(bankQuestion), options);
+  if (cacheKey) {
+    await evaluationCache.set(cacheKey, evaluation).catch((error) => console.error('Error writing the evaluation cache:', error));
+  }
+  return evaluation;
+}
+
+const toResolvedEvaluationResponse = (evaluation, { question, answer, bankQuestion }) => toEvaluationResponse(evaluation, {
+  question,
+  answer,
+  ...(bankQuestion ? { questionId: bankQuestion.id, questionVersion: bankQuestion.version } : {}),
+});
+
+/**
+ * Status and body for a failed evaluation.
+ * @returns {{ status: number, body: Object }}
+ */
+function evaluationFailure(error) {
+  console.error('Error evaluating answer:', error);
+  if (error instanceof EvaluationFormatError) {
+    return {
+      status: 502,
+      body: {
+        contractVersion: EVALUATION_CONTRACT_VERSION,
+        error: "The evaluator returned malformed output",
+        problems: error.problems,
+      },
+    };
+  }
+  return { status: 500, body: { contractVersion: EVALUATION_CONTRACT_VERSION, error: "An error occurred while evaluating the answer" } };
+}
+
+// Shared by /evaluate and /evaluate/stream, so both count against the same limits
+const evaluateRateLimit = learnerRateLimit(RATE_LIMITS.evaluate, identifyLearner, { contractVersion: EVALUATION_CONTRACT_VERSION });
+
 /**
  * POST /evaluate
- * Evaluate an answer to a question
- * @param {string} question - The question to evaluate
+ * Evaluate an answer to a question. With `questionId` the question text, reference answer and keywords
+ * come from the server's question bank (anything else the client sends about the question is ignored) and
+ * the response lists the key concepts covered and missed. A differing client `version` is graded against
+ * the bank's current version, reported as `questionVersion`. Without `questionId` the free-text `question`
+ * is graded without a rubric and never cached. POST /evaluate/stream streams the same evaluation.
+ * Evaluations of bank questions are cached by question id, version, normalized answer and model
+ * (see ../lib/evaluationCache.js): the `X-Evaluation-Cache` response header is `hit` when the stored
+ * grade was reused, `miss` when the model graded the answer, and `bypass` when caching does not apply.
+ * @param {number} [questionId] - Id of a subjective question in the bank
+ * @param {number} [version] - The client's version of that question
+ * @param {string} question - The question to evaluate (required without questionId)
  * @param {string} answer - The answer to evaluate
- * @returns {object} - The evaluation of the answer
+ * @returns {object} - The evaluation, versioned by `contractVersion` (see toEvaluationResponse in ../lib/evaluation.js)
  * @example
- * curl -X POST http://localhost:8000/evaluate -H "Content-Type: application/json" -d '{"question": "Name 5 sql databases", "answer": "MySQL, PostgreSQL, SQLite"}'
+ * curl -X POST http://localhost:8000/evaluate -H "Content-Type: application/json" -d '{"questionId": 8, "version": 3, "answer": "Splitting data by date lets queries skip partitions"}'
  * // Response
  * {
+ *   "contractVersion": 1,
+ *   "grade": 6,
+ *   "isCorrect": true,
+ *   "nextHint": "How does partitioning help parallel processing?",
+ *   "fullEvaluation": "Explains partition pruning with an example; parallelism is not mentioned.",
+ *   "confidenceScore": 0.8,
+ *   "criteria": [{ "criterion": "Gives an example", "met": true, "note": "Partitioning by date" }],
+ *   "coveredConcepts": ["performance"],
+ *   "missingConcepts": ["dataset", "processing"],
+ *   "question": "Explain the concept of data partitioning...",
+ *   "answer": "Splitting data by date lets queries skip partitions",
+ *   "questionId": 8,
+ *   "questionVersion": 3
+ * }
+ * @example
+ * curl -X POST http://localhost:8000/evaluate -H "Content-Type: application/json" -d '{"question": "Name 5 sql databases", "answer": "MySQL, PostgreSQL, SQLite"}'
+ * // Response (coveredConcepts and missingConcepts are empty without a rubric)
+ * {
+ *   "contractVersion": 1,
  *   "grade": 6,
  *   "isCorrect": false,
  *   "nextHint": "You missed 2 databases. Try again.",
- *   "fullEvaluation": "Grade: 6\nCorrect: No\nHint: You missed 2 databases. Try again." 
+ *   "fullEvaluation": "Three valid SQL databases; the question asks for five.",
+ *   "confidenceScore": 0.9,
+ *   "criteria": [{ "criterion": "Names five databases", "met": false, "note": "Only three named" }],
+ *   "coveredConcepts": [],
+ *   "missingConcepts": [],
  *   "question": "Name 5 sql databases",
  *   "answer": "MySQL, PostgreSQL, SQLite"
  * }
+ * // 502 when the model's output stays malformed after repair prompts:
+ * { "contractVersion": 1, "error": "...", "problems": ["grade must be an integer from 0 to 10"] }
+ * // 429 (with a Retry-After header) when the client IP, or the learner authenticated by `X-Learner-Id` and
+ * // `Authorization: Bearer <sync token>`, is over its rate limit:
+ * { "contractVersion": 1, "error": "Too many requests; try again later", "retryAfter": 12 }
+ * // 413 when the answer is longer than the question's maxLength (or MAX_ANSWER_LENGTH):
+ * { "contractVersion": 1, "error": "The answer is longer than 600 characters", "maxLength": 600 }
  */
-app.post('/evaluate', async (req, res) => {
+app.post('/evaluate', evaluateRateLimit, async (req, res) => {
   console.log('Evaluating answer:', req.body);
-  const { question, answer } = req.body;
-
-  if (!question || !answer) {
-    return res.status(400).json({ error: "Both question and answer must be provided" });
+  try {
+    const resolved = await resolveEvaluationRequest(req.body);
+    if (resolved.error) {
+      return res.status(resolved.error.status).json(resolved.error.body);
+    }
+    const { cacheKey, cached } = await lookUpCachedEvaluation(resolved, res);
+    const evaluation = cached || await evaluateAndCache(resolved, cacheKey);
+    res.json(toResolvedEvaluationResponse(evaluation, resolved));
+  } catch (error) {
+    const failure = evaluationFailure(error);
+    res.status(failure.status).json(failure.body);
   }
+});
 
+/**
+ * POST /evaluate/stream
+ * Same request, validation, limits and cache as POST /evaluate, answered with Server-Sent Events:
+ * `partial` events carry the evaluation text generated so far (`{ "fullEvaluation": "..." }`, the whole
+ * text each time; it starts over if the model's output needed a repair prompt), then a single `result`
+ * event carries the /evaluate response body, or an `error` event carries its error body plus `status`.
+ * Requests rejected before grading starts (400, 404, 413, 429) get the plain JSON error instead of a stream.
+ * Grading stops when the client disconnects (nothing is cached then).
+ * @example
+ * curl -N -X POST http://localhost:8000/evaluate/stream -H "Content-Type: application/json" -d '{"questionId": 8, "answer": "Splitting data by date"}'
+ * // event: partial
+ * // data: {"fullEvaluation":"Explains partition"}
+ * //
+ * // event: result
+ * // data: {"contractVersion":1,"grade":6,...}
+ */
+app.post('/evaluate/stream', evaluateRateLimit, async (req, res) => {
+  console.log('Evaluating answer (streaming):', req.body);
+  let stream = null;
   try {
-    const evaluation = await evaluateAnswer(question, answer);
-    
-    // Parse the evaluation response
-    const gradeMatch = evaluation.match(/Grade: (\d+)/);
-    const correctMatch = evaluation.match(/Correct: (Yes|No)/);
-    const hintMatch = evaluation.match(/Hint: (.+)/);
-
-    const parsedEvaluation = {
-      grade: gradeMatch ? parseInt(gradeMatch[1]) : null,
-      isCorrect: correctMatch ? correctMatch[1] === 'Yes' : null,
-      nextHint: hintMatch ? hintMatch[1] : null,
-      fullEvaluation: evaluation
-    };
-
-    res.json({ ...parsedEvaluation, question, answer });
+    const resolved = await resolveEvaluationRequest(req.body);
+    if (resolved.error) {
+      return res.status(resolved.error.status).json(resolved.error.body);
+    }
+    const { cacheKey, cached } = await lookUpCachedEvaluation(resolved, res);
+    stream = openEventStream(res);
+    let sent = '';
+    const evaluation = cached || await evaluateAndCache(resolved, cacheKey, {
+      signal: stream.signal,
+      onText: (text) => {
+        const partial = partialEvaluationText(text);
+        if (partial !== sent) {
+          sent = partial;
+          stream.send('partial', { fullEvaluation: partial });
+        }
+      },
+    });
+    stream.send('result', toResolvedEvaluationResponse(evaluation, resolved));
   } catch (error) {
-    console.error('Error evaluating answer:', error);
-    res.status(500).json({ error: "An error occurred while evaluating the answer" });
+    if (stream?.signal.aborted) {
+      console.log('Client disconnected; stopped evaluating');
+      return;
+    }
+    const failure = evaluationFailure(error);
+    if (!stream) {
+      return res.status(failure.status).json(failure.body);
+    }
+    stream.send('error', { ...failure.body, status: failure.status });
+  } finally {
+    stream?.end();
   }
 });
 
-app.post('/ask', async (req, res) => {
+/** Error status and body for an invalid /ask request, or null when it is valid. */
+function askRequestError({ question }) {
+  if (!question) {
+    return { status: 400, body: { error: "No question provided" } };
+  }
+  if (typeof question !== 'string' || question.length > MAX_QUESTION_LENGTH) {
+    return { status: 413, body: { error: `The question must be text of at most ${MAX_QUESTION_LENGTH} characters` } };
+  }
+  return null;
+}
+
+// Shared by /ask and /ask/stream
+const askRateLimit = learnerRateLimit(RATE_LIMITS.ask, identifyLearner);
+
+app.post('/ask', askRateLimit, async (req, res) => {
     const { question } = req.body;
-  
-    if (!question) {
-      return res.status(400).json({ error: "No question provided" });
+    const invalid = askRequestError(req.body);
+    if (invalid) {
+      return res.status(invalid.status).json(invalid.body);
     }
   
     try {
@@ -172,6 +477,38 @@ app.post('/ask', async (req, res) => {
     }
   });
 
+/**
+ * POST /ask/stream
+ * Like POST /ask, answered with Server-Sent Events: `partial` events carry the answer generated so far
+ * (`{ "answer": "..." }`), then a `result` event carries `{ question, answer }`, or an `error` event `{ error, status }`.
+ * Generation stops when the client disconnects.
+ */
+app.post('/ask/stream', askRateLimit, async (req, res) => {
+  const { question } = req.body;
+  const invalid = askRequestError(req.body);
+  if (invalid) {
+    return res.status(invalid.status).json(invalid.body);
+  }
+
+  const stream = openEventStream(res);
+  try {
+    const answer = await generateAnswer(question, {
+      signal: stream.signal,
+      onText: (text) => stream.send('partial', { answer: text }),
+    });
+    stream.send('result', { question, answer });
+  } catch (error) {
+    if (stream.signal.aborted) {
+      console.log('Client disconnected; stopped answering');
+      return;
+    }
+    console.error('Error generating answer:', error);
+    stream.send('error', { error: "An error occurred while processing the question", status: 500 });
+  } finally {
+    stream.end();
+  }
+});
+
 /**
  * POST /submit-question
  * Submit a new question for review
@@ -180,7 +517,7 @@ app.post('/ask', async (req, res) => {
  * @example
  * curl -X POST http://localhost:8000/submit-question -H "Content-Type: application/json" -d '{"type": "objective", "question": "What is SQL?", "options": ["A", "B", "C"], "expectedAnswer": "A", "hints": ["Hint 1", "Hint 2"]}'
  */
-app.post('/submit-question', async (req, res) => {
+app.post('/submit-question', rateLimit(RATE_LIMITS.submitQuestion), async (req, res) => {
   console.log('Received question submission:', req.body);
   const questionData = req.body;
 
@@ -321,8 +658,95 @@ app.post('/submit-question', async (req, res) => {
   }
 });
 
-app.listen(API_SERVER_PORT, () => {
-  console.log(`Quiz API Server running at http://localhost:${API_SERVER_PORT}`);
+/**
+ * Checks the `Authorization: Bearer <token>` header against the learner's token and sets `req.learner`.
+ */
+async function requireLearnerToken(req, res, next) {
+  const token = bearerToken(req);
+  try {
+    const learner = token ? await progressStore.authenticate(req.params.learnerId, token) : null;
+    if (!learner) {
+      return res.status(401).json({ error: "Unknown learner or invalid token" });
+    }
+    req.learner = learner;
+    next();
+  } catch (error) {
+    console.error('Error reading synced progress:', error);
+    res.status(500).json({ error: "An error occurred while reading progress" });
+  }
+}
+
+/**
+ * POST /progress
+ * Register a learner for cross-device sync. The token is shown only once; send it as a Bearer token.
+ * @example
+ * curl -X POST http://localhost:8000/progress
+ * // Response (201)
+ * { "learnerId": "3f0c…", "token": "q2Vb…" }
+ */
+app.post('/progress', rateLimit(RATE_LIMITS.registerLearner), async (req, res) => {
+  try {
+    res.status(201).json(await progressStore.createLearner());
+  } catch (error) {
+    console.error('Error registering learner:', error);
+    res.status(500).json({ error: "An error occurred while registering for sync" });
+  }
+});
+
+/**
+ * GET /progress/:learnerId
+ * Pull a learner's synced answer history.
+ * @example
+ * curl http://localhost:8000/progress/3f0c… -H "Authorization: Bearer q2Vb…"
+ * // Response
+ * { "learnerId": "3f0c…", "userAnswers": [{ "questionId": 1, "answers": [...] }], "resets": { "main": "2026-01-01T00:00:00.000Z" }, "updatedAt": "2026-01-02T00:00:00.000Z" }
+ */
+const progressRateLimit = learnerRateLimit(RATE_LIMITS.progress, requireLearnerToken);
+
+app.get('/progress/:learnerId', progressRateLimit, (req, res) => {
+  const { learnerId, userAnswers, resets = {}, updatedAt } = req.learner;
+  res.json({ learnerId, userAnswers, resets, updatedAt });
+});
+
+/**
+ * PUT /progress/:learnerId
+ * Push answer history; it is merged with the stored history (by question and submission time) and the merged history is returned.
+ * @param {object[]} userAnswers - Records as stored in the browser: `{ questionId, answers: [...] }`
+ * @param {object} [resets] - When each progress scope was restarted: `{ "main": "2026-01-01T00:00:00.000Z" }`; older answers in it are dropped
+ * @example
+ * curl -X PUT http://localhost:8000/progress/3f0c… -H "Authorization: Bearer q2Vb…" -H "Content-Type: application/json" -d '{"userAnswers": []}'
+ */
+app.put('/progress/:learnerId', progressRateLimit, async (req, res) => {
+  const { userAnswers, resets } = req.body || {};
+  const invalid = validateAnswerRecords(userAnswers) || validateResets(resets);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  try {
+    const merged = await progressStore.mergeAnswers(req.params.learnerId, userAnswers, resets);
+    res.json({ learnerId: req.params.learnerId, ...merged });
+  } catch (error) {
+    console.error('Error saving synced progress:', error);
+    res.status(500).json({ error: "An error occurred while saving progress" });
+  }
+});
+
+// Body parser failures as JSON instead of Express's HTML error page
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ error: `The request body is larger than ${req.path.startsWith('/progress') ? JSON_BODY_LIMIT : REQUEST_BODY_LIMIT}` });
+  }
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: "The request body is not valid JSON" });
+  }
+  next(error);
 });
 
+// Listen only when run directly (`node server/api/index.js`); importing the app (tests, serverless) does not bind a port
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  app.listen(API_SERVER_PORT, () => {
+    console.log(`Quiz API Server running at http://localhost:${API_SERVER_PORT} (LLM provider: ${LLM_PROVIDER})`);
+  });
+}
+
 export default app;
\ No newline at end of file
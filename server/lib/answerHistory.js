@@ -0,0 +1,50 @@
+/**
+ * Helpers on answer-history records (`{ questionId, answers: [...] }`, as in the `userAnswers` store) shared
+ * by the browser (import, sync) and the API server's progress store, so both merge and reset alike.
+ * Lives in the API server package (so server/ deploys on its own) and is kept free of Node and browser APIs
+ * and of other imports, so the app can bundle it too.
+ */
+
+/** Progress scope of the main quiz; answers saved without a scope belong to it. */
+export const MAIN_SCOPE = 'main';
+
+/**
+ * Identity of one submission: the same answer imported twice or synced from two devices is stored once.
+ * @param {{ scope?: string, submittedAt: string, answer: * }} answer
+ * @returns {string}
+ */
+export function answerKey(answer) {
+  return `${answer.scope || MAIN_SCOPE}|${answer.submittedAt}|${JSON.stringify(answer.answer)}`;
+}
+
+/**
+ * Combines two reset maps, keeping the latest reset of each scope.
+ * @param {Object<string, string>} [a]
+ * @param {Object<string, string>} [b]
+ * @returns {Object<string, string>}
+ */
+export function mergeResets(a = {}, b = {}) {
+  const merged = { ...a };
+  for (const [scope, at] of Object.entries(b)) {
+    if (!merged[scope] || at > merged[scope]) merged[scope] = at;
+  }
+  return merged;
+}
+
+/**
+ * Drops answers submitted at or before their scope's reset, and records left without answers.
+ * @param {Object[]} records - userAnswers records
+ * @param {Object<string, string>} [resets]
+ * @returns {Object[]}
+ */
+export function applyScopeResets(records, resets = {}) {
+  return records
+    .map((record) => ({
+      ...record,
+      answers: record.answers.filter((a) => {
+        const resetAt = resets[a.scope || MAIN_SCOPE];
+        return !resetAt || a.submittedAt > resetAt;
+      }),
+    }))
+    .filter((record) => record.answers.length > 0);
+}
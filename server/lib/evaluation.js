@@ -0,0 +1,285 @@
+/**
+ * Structured answer evaluation for POST /evaluate: asks the model for JSON matching
+ * EVALUATION_SCHEMA (as a strict `response_format` where the provider supports it, and in the prompt),
+ * validates it, retries with a repair prompt when the output is malformed,
+ * and maps it to the versioned response contract (toEvaluationResponse).
+ * With a rubric (see getRubric in ./questionBank.js) the prompt includes the reference answer and
+ * key concepts, and the reply must sort every key concept into covered or missing.
+ */
+
+/**
+ * Version of the /evaluate response body. Bump it when a field is removed or changes meaning;
+ * adding optional fields keeps the version.
+ */
+export const EVALUATION_CONTRACT_VERSION = 1;
+
+/** Repair prompts sent after the first malformed reply before giving up. */
+export const DEFAULT_MAX_REPAIRS = 2;
+
+/** JSON Schema the model must follow; it meets the rules of OpenAI strict structured outputs. */
+export const EVALUATION_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['grade', 'isCorrect', 'hint', 'evaluation', 'confidence', 'criteria', 'coveredConcepts', 'missingConcepts'],
+  properties: {
+    grade: { type: 'integer', minimum: 0, maximum: 10, description: 'Overall grade, 10 is best' },
+    isCorrect: { type: 'boolean', description: 'Whether the answer is acceptable as correct' },
+    hint: { type: 'string', description: 'One line that would improve the answer without giving it away' },
+    evaluation: { type: 'string', description: 'Short evaluation in Markdown' },
+    confidence: { type: 'number', minimum: 0, maximum: 1, description: 'How sure you are of the grade' },
+    criteria: {
+      type: 'array',
+      description: 'One entry per aspect the answer was judged on',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['criterion', 'met', 'note'],
+        properties: {
+          criterion: { type: 'string' },
+          met: { type: 'boolean' },
+          note: { type: 'string' },
+        },
+      },
+    },
+    coveredConcepts: { type: 'array', items: { type: 'string' }, description: 'Key concepts the answer covers' },
+    missingConcepts: { type: 'array', items: { type: 'string' }, description: 'Key concepts the answer misses' },
+  },
+};
+
+/**
+ * OpenAI `response_format` constraining the reply to EVALUATION_SCHEMA. Passed to providers as
+ * `context.responseFormat`; the schema is also in the prompt for models that ignore it.
+ */
+export const EVALUATION_RESPONSE_FORMAT = {
+  type: 'json_schema',
+  json_schema: { name: 'answer_evaluation', strict: true, schema: EVALUATION_SCHEMA },
+};
+
+/** Thrown when the model did not produce a valid evaluation, even after repair prompts. */
+export class EvaluationFormatError extends Error {
+  /**
+   * @param {string} message
+   * @param {string[]} problems - Validation problems of the last reply
+   */
+  constructor(message, problems) {
+    super(message);
+    this.name = 'EvaluationFormatError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * @typedef {Object} Rubric
+ * @property {string} expectedAnswer - The author's reference answer
+ * @property {string[]} keywords - Key concepts an answer should cover
+ * @property {number} minKeywords - How many of them a correct answer needs
+ */
+
+/** Prompt section describing the rubric, or asking for empty concept lists without one. */
+function describeRubric(rubric) {
+  if (!rubric) {
+    return 'There is no reference answer: grade on technical accuracy and completeness, and leave coveredConcepts and missingConcepts empty.';
+  }
+  const needed = Math.min(Math.max(rubric.minKeywords, 1), rubric.keywords.length);
+  const concepts = rubric.keywords.length > 0
+    ? `Key concepts (a correct answer covers at least ${needed} of them): ${rubric.keywords.join(', ')}
+
+Put every key concept in exactly one of coveredConcepts or missingConcepts, spelled as listed. A concept counts as covered when the answer explains it, in any words.`
+    : 'There are no key concepts: leave coveredConcepts and missingConcepts empty.';
+  return `Reference answer from the question author (the learner has not seen it):
+${rubric.expectedAnswer}
+
+${concepts}
+
+Grade against the reference answer, but also credit correct points it does not mention. Do not reveal the reference answer in the hint.`;
+}
+
+/**
+ * Conversation asking the model to grade `answer` and reply with JSON only.
+ * @param {string} question
+ * @param {string} answer
+ * @param {Rubric|null} [rubric]
+ * @returns {Array<{ role: string, content: string }>}
+ */
+export function buildEvaluationMessages(question, answer, rubric = null) {
+  return [
+    {
+      role: 'system',
+      content:
+        'You are an expert in data engineering tasked with evaluating answers to technical questions. ' +
+        'Reply with a single JSON object and nothing else.',
+    },
+    {
+      role: 'user',
+      content: `Evaluate the following answer to the given question.
+
+Question: ${question}
+
+Answer: ${answer}
+
+${describeRubric(rubric)}
+
+Reply with JSON matching this JSON Schema:
+${JSON.stringify(EVALUATION_SCHEMA, null, 2)}`,
+    },
+  ];
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Checks a parsed reply against EVALUATION_SCHEMA and, with a rubric, that every key concept
+ * (compared case-insensitively) is listed once as covered or missing.
+ * @param {*} value
+ * @param {Rubric|null} [rubric]
+ * @returns {string[]} Problems found (empty when valid)
+ */
+export function validateEvaluation(value, rubric = null) {
+  if (!isObject(value)) return ['the reply must be a JSON object'];
+  const problems = [];
+  if (!Number.isInteger(value.grade) || value.grade < 0 || value.grade > 10) {
+    problems.push('grade must be an integer from 0 to 10');
+  }
+  if (typeof value.isCorrect !== 'boolean') problems.push('isCorrect must be true or false');
+  if (typeof value.hint !== 'string') problems.push('hint must be a string');
+  if (typeof value.evaluation !== 'string' || !value.evaluation.trim()) problems.push('evaluation must be a non-empty string');
+  if (typeof value.confidence !== 'number' || !(value.confidence >= 0 && value.confidence <= 1)) {
+    problems.push('confidence must be a number from 0 to 1');
+  }
+  if (!Array.isArray(value.criteria)) {
+    problems.push('criteria must be a list');
+  } else {
+    value.criteria.forEach((c, i) => {
+      if (!isObject(c) || typeof c.criterion !== 'string' || typeof c.met !== 'boolean' || typeof c.note !== 'string') {
+        problems.push(`criteria[${i}] must have a string criterion, a boolean met and a string note`);
+      }
+    });
+  }
+  const conceptLists = ['coveredConcepts', 'missingConcepts'];
+  for (const name of conceptLists) {
+    if (!Array.isArray(value[name]) || !value[name].every((c) => typeof c === 'string')) {
+      problems.push(`${name} must be a list of strings`);
+    }
+  }
+  if (problems.length === 0 && rubric) {
+    const keywords = new Set(rubric.keywords.map((k) => k.toLowerCase()));
+    const listed = [...value.coveredConcepts, ...value.missingConcepts].map((c) => c.toLowerCase());
+    const unknown = listed.filter((c) => !keywords.has(c));
+    const unlisted = [...keywords].filter((k) => !listed.includes(k));
+    const repeated = listed.filter((c, i) => listed.indexOf(c) !== i);
+    if (unknown.length > 0) problems.push(`these are not key concepts: ${unknown.join(', ')}`);
+    if (unlisted.length > 0) problems.push(`these key concepts are in neither list: ${unlisted.join(', ')}`);
+    if (repeated.length > 0) problems.push(`these key concepts are listed more than once: ${[...new Set(repeated)].join(', ')}`);
+  }
+  return problems;
+}
+
+/**
+ * Parses a model reply (tolerating a Markdown code fence around the JSON) and validates it.
+ * @param {string} text
+ * @param {Rubric|null} [rubric]
+ * @returns {{ value: Object|null, problems: string[] }}
+ */
+export function parseEvaluation(text, rubric = null) {
+  const fenced = String(text ?? '').trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+  let value;
+  try {
+    value = JSON.parse(fenced ? fenced[1] : String(text ?? '').trim());
+  } catch (error) {
+    return { value: null, problems: [`the reply is not valid JSON (${error.message})`] };
+  }
+  const problems = validateEvaluation(value, rubric);
+  return { value: problems.length === 0 ? value : null, problems };
+}
+
+/**
+ * The `evaluation` field of a reply that is still being generated, decoded as far as it has arrived
+ * (empty until the field starts), so the evaluation can be shown before the whole JSON is complete.
+ * @param {string} text - The reply so far
+ * @returns {string}
+ */
+export function partialEvaluationText(text) {
+  const source = String(text ?? '');
+  const start = source.match(/"evaluation"\s*:\s*"/);
+  if (!start) return '';
+  const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+  let result = '';
+  for (let i = start.index + start[0].length; i < source.length; i++) {
+    const c = source[i];
+    if (c === '"') break;
+    if (c !== '\\') {
+      result += c;
+      continue;
+    }
+    const next = source[i + 1];
+    if (next === undefined) break;
+    if (next === 'u') {
+      const hex = source.slice(i + 2, i + 6);
+      if (!/^[0-9a-fA-F]{4}$/.test(hex)) break;
+      result += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+    } else {
+      result += escapes[next] ?? next;
+      i++;
+    }
+  }
+  return result;
+}
+
+/**
+ * Asks the model for an evaluation, sending repair prompts while the reply is malformed (e.g. from a
+ * model without structured outputs).
+ * @param {(messages: Array<{ role: string, content: string }>, context: Object) => Promise<string>} chat - Sends a conversation,
+ *   resolves to the reply text; `context` is `{ task: 'evaluate', question, answer, rubric, responseFormat, signal }` (see ./llmProviders.js)
+ * @param {string} question
+ * @param {string} answer
+ * @param {{ maxRepairs?: number, rubric?: Rubric|null, signal?: AbortSignal|null }} [options] - `signal` cancels the evaluation
+ * @returns {Promise<Object>} A reply valid against EVALUATION_SCHEMA (and the rubric)
+ * @throws {EvaluationFormatError} When every reply was malformed
+ */
+export async function requestEvaluation(chat, question, answer, { maxRepairs = DEFAULT_MAX_REPAIRS, rubric = null, signal = null } = {}) {
+  const messages = buildEvaluationMessages(question, answer, rubric);
+  let problems = [];
+  for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+    signal?.throwIfAborted();
+    const reply = await chat(messages, { task: 'evaluate', question, answer, rubric, responseFormat: EVALUATION_RESPONSE_FORMAT, signal });
+    const parsed = parseEvaluation(reply, rubric);
+    if (parsed.value) return parsed.value;
+    problems = parsed.problems;
+    console.warn(`Malformed evaluation (attempt ${attempt + 1}):`, problems.join('; '));
+    messages.push(
+      { role: 'assistant', content: String(reply ?? '') },
+      {
+        role: 'user',
+        content: `That reply is not valid: ${problems.join('; ')}. Reply again with only the corrected JSON object matching the schema.`,
+      }
+    );
+  }
+  throw new EvaluationFormatError(`The model returned no valid evaluation after ${maxRepairs + 1} attempts`, problems);
+}
+
+/**
+ * The /evaluate response body for a validated evaluation. `questionId` and `questionVersion` identify
+ * the bank question whose rubric was used (omitted when grading free-text questions).
+ * @param {Object} evaluation - Valid against EVALUATION_SCHEMA
+ * @param {{ question: string, answer: string, questionId?: number, questionVersion?: number }} request
+ * @returns {{ contractVersion: number, grade: number, isCorrect: boolean, nextHint: string, fullEvaluation: string,
+ *   confidenceScore: number, criteria: Array<{ criterion: string, met: boolean, note: string }>,
+ *   coveredConcepts: string[], missingConcepts: string[], question: string, answer: string, questionId?: number, questionVersion?: number }}
+ */
+export function toEvaluationResponse(evaluation, { question, answer, questionId, questionVersion }) {
+  return {
+    contractVersion: EVALUATION_CONTRACT_VERSION,
+    grade: evaluation.grade,
+    isCorrect: evaluation.isCorrect,
+    nextHint: evaluation.hint,
+    fullEvaluation: evaluation.evaluation,
+    confidenceScore: evaluation.confidence,
+    criteria: evaluation.criteria,
+    coveredConcepts: evaluation.coveredConcepts,
+    missingConcepts: evaluation.missingConcepts,
+    question,
+    answer,
+    ...(questionId !== undefined ? { questionId, questionVersion } : {}),
+  };
+}
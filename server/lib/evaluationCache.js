@@ -0,0 +1,118 @@
+/**
+ * File-backed cache of /evaluate results, so a resubmitted answer gets the same grade without another
+ * model call. Entries are keyed by question id, question version, a hash of the normalized answer and the
+ * model (see evaluationCacheKey), expire after a TTL, and the oldest are evicted beyond a maximum count.
+ * One JSON file per entry: `{ key, storedAt, evaluation }`.
+ */
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Answer text as compared for caching: Unicode-normalized, lower-cased, with runs of whitespace collapsed,
+ * so answers differing only in case or spacing share an entry.
+ * @param {string} answer
+ * @returns {string}
+ */
+export function normalizeAnswer(answer) {
+  return String(answer ?? '').normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Cache key of an evaluation (hex, also the entry's file name).
+ * @param {{ questionId: number, questionVersion: number, answer: string, model: string }} request
+ * @returns {string}
+ */
+export function evaluationCacheKey({ questionId, questionVersion, answer, model }) {
+  return sha256(JSON.stringify([questionId, questionVersion, sha256(normalizeAnswer(answer)), model]));
+}
+
+/**
+ * Creates a cache storing entries under `dir`.
+ * @param {string} dir
+ * @param {{ ttlMs: number, maxEntries: number, now?: () => number }} options
+ */
+export function createEvaluationCache(dir, { ttlMs, maxEntries, now = Date.now }) {
+  /** @type {Promise<Map<string, number>>|null} storedAt per key, read from the entries on first use */
+  let index = null;
+
+  const fileFor = (key) => path.join(dir, `${key}.json`);
+
+  function getIndex() {
+    if (!index) {
+      index = (async () => {
+        const entries = new Map();
+        let files = [];
+        try {
+          files = await fs.readdir(dir);
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+        for (const file of files.filter((f) => f.endsWith('.json'))) {
+          try {
+            const { key, storedAt } = JSON.parse(await fs.readFile(path.join(dir, file), 'utf-8'));
+            entries.set(key, storedAt);
+          } catch (error) {
+            console.warn(`Ignoring unreadable evaluation cache entry ${file}:`, error.message);
+          }
+        }
+        return entries;
+      })();
+      index.catch(() => { index = null; });
+    }
+    return index;
+  }
+
+  async function remove(key, entries) {
+    entries.delete(key);
+    await fs.rm(fileFor(key), { force: true });
+  }
+
+  return {
+    /**
+     * The cached evaluation for `key`, or null when there is none or it has expired.
+     * @param {string} key
+     * @returns {Promise<Object|null>}
+     */
+    async get(key) {
+      const entries = await getIndex();
+      let entry;
+      try {
+        entry = JSON.parse(await fs.readFile(fileFor(key), 'utf-8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+      if (now() - entry.storedAt >= ttlMs) {
+        await remove(key, entries);
+        return null;
+      }
+      return entry.evaluation;
+    },
+
+    /**
+     * Stores `evaluation` under `key`, then evicts the oldest entries beyond `maxEntries`.
+     * @param {string} key
+     * @param {Object} evaluation
+     */
+    async set(key, evaluation) {
+      const entries = await getIndex();
+      const storedAt = now();
+      await fs.mkdir(dir, { recursive: true });
+      const tmp = `${fileFor(key)}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify({ key, storedAt, evaluation }), 'utf-8');
+      await fs.rename(tmp, fileFor(key));
+      entries.delete(key);
+      entries.set(key, storedAt);
+      while (entries.size > maxEntries) {
+        let oldest = null;
+        for (const [k, t] of entries) {
+          if (oldest === null || t < entries.get(oldest)) oldest = k;
+        }
+        await remove(oldest, entries);
+      }
+    },
+  };
+}
@@ -0,0 +1,280 @@
+/**
+ * Chat backends for the API server, chosen with LLM_PROVIDER:
+ * - `openai` (default): OpenAI through resilient-llm (retries, rate limiting), keyed by OPENAI_API_KEY.
+ * - `openai-compatible`: any server exposing the OpenAI `/chat/completions` API (Ollama, vLLM, LM Studio…) at LLM_BASE_URL.
+ * - `mock`: deterministic and offline; grades by the question's keywords and returns a canned /ask answer.
+ *   For development, CI and end-to-end tests without network access or a key.
+ *
+ * A provider is `{ name, model, chat(messages, context), chatStream(messages, context, onText) }`; `chat`
+ * resolves to the reply text, and `chatStream` also calls `onText` with the reply so far as it is generated.
+ * `context` describes the request (`{ task: 'evaluate', question, answer, rubric, responseFormat }` or `{ task: 'ask', question }`);
+ * real models get everything from `messages` plus `responseFormat` (an OpenAI `response_format`, sent as structured-output
+ * constraint), the mock only reads `context`. `context.signal` (an AbortSignal) cancels a streamed reply, e.g. when the
+ * client disconnects.
+ *
+ * Requests to an OpenAI-compatible endpoint (also OpenAI's streaming) time out after `timeoutMs`, including the time to
+ * stream the reply, and are retried up to `retries` times after network errors, timeouts, 429 and 5xx responses.
+ */
+
+/** OpenAI's API root; streaming calls it directly, as resilient-llm only returns complete replies. */
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+export const DEFAULT_LLM_TIMEOUT_MS = 60 * 1000;
+export const DEFAULT_LLM_RETRIES = 3;
+
+/** Responses worth another try: rate limited, or a failure on the model server's side. */
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+/** Resolves after `ms`, or rejects with the abort reason when `signal` aborts first. */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Reads an OpenAI-style streamed completion (Server-Sent Events of `choices[0].delta.content`).
+ * @param {ReadableStream<Uint8Array>} body
+ * @param {(text: string) => void} onText - Called with the reply so far after each chunk
+ * @returns {Promise<string>} The whole reply
+ */
+async function readCompletionStream(body, onText) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      const data = line.match(/^data:\s*(.*)$/)?.[1];
+      if (!data || data === '[DONE]') continue;
+      const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onText(text);
+      }
+    }
+  }
+  return text;
+}
+
+export const LLM_PROVIDERS = ['openai', 'openai-compatible', 'mock'];
+
+/** Thrown for an unknown provider or one missing required settings. */
+export class LLMConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LLMConfigError';
+  }
+}
+
+/** A resilient-llm reply as text: newer releases return `{ content }`, parsed to an object for structured output. */
+function replyText(reply) {
+  const content = reply !== null && typeof reply === 'object' ? reply.content : reply;
+  return typeof content === 'string' ? content : JSON.stringify(content);
+}
+
+/**
+ * OpenAI via resilient-llm, imported on first use so the other providers run without it installed
+ * (`resilientLLMImpl` replaces its ResilientLLM class, for tests).
+ */
+function createOpenAIProvider({
+  apiKey,
+  model,
+  fetchImpl,
+  timeoutMs = DEFAULT_LLM_TIMEOUT_MS,
+  retries = DEFAULT_LLM_RETRIES,
+  resilientLLMImpl,
+}) {
+  if (!apiKey) {
+    console.warn('OPENAI_API_KEY is not set; requests to OpenAI will fail (set LLM_PROVIDER=mock to run offline)');
+  }
+  let llm = null;
+  const streaming = createOpenAICompatibleProvider({ baseUrl: OPENAI_BASE_URL, apiKey, model, fetchImpl, timeoutMs, retries });
+  return {
+    name: 'openai',
+    model,
+    async chat(messages, context = {}) {
+      if (!llm) {
+        const ResilientLLM = resilientLLMImpl ?? (await import('resilient-llm')).ResilientLLM;
+        llm = new ResilientLLM({ aiService: 'openai', apiKey, model, timeout: timeoutMs, retries });
+      }
+      // Also per call: the constructor reads `retries || 3`, which would turn LLM_RETRIES=0 into 3 retries
+      const llmOptions = { timeout: timeoutMs, retries, ...(context.responseFormat ? { responseFormat: context.responseFormat } : {}) };
+      return replyText(await llm.chat(messages, llmOptions));
+    },
+    chatStream: streaming.chatStream,
+  };
+}
+
+/**
+ * An OpenAI-compatible `/chat/completions` endpoint, e.g. `http://localhost:11434/v1` for Ollama.
+ * `apiKey` is optional; local servers usually ignore it. `context.responseFormat` is sent as `response_format`;
+ * when the server rejects it (HTTP 400 naming `response_format` or `json_schema`), the request is sent once more
+ * without it and the caller relies on the prompt. Other 400s (e.g. too long a context) are errors as usual.
+ */
+function createOpenAICompatibleProvider({
+  baseUrl,
+  apiKey,
+  model,
+  fetchImpl = fetch,
+  timeoutMs = DEFAULT_LLM_TIMEOUT_MS,
+  retries = DEFAULT_LLM_RETRIES,
+  retryDelayMs = 1000,
+}) {
+  if (!baseUrl) {
+    throw new LLMConfigError('LLM_BASE_URL is required for LLM_PROVIDER=openai-compatible');
+  }
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  const post = async (body, { responseFormat, signal } = {}) => {
+    if (responseFormat) {
+      try {
+        return await post({ ...body, response_format: responseFormat }, { signal });
+      } catch (error) {
+        if (error.status !== 400 || !/response_format|json_schema/i.test(error.body)) throw error;
+        console.warn(`${url} rejected response_format; retrying without structured output`);
+      }
+    }
+    for (let attempt = 0; ; attempt++) {
+      // Stays attached to the response, so it also bounds reading a streamed reply
+      const timeout = AbortSignal.timeout(timeoutMs);
+      let response;
+      try {
+        response = await fetchImpl(url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+          },
+          body: JSON.stringify({ model, ...body }),
+          signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+        });
+      } catch (error) {
+        if (signal?.aborted || attempt >= retries) throw error;
+        console.warn(`${url} failed (${error.message}); retrying`);
+        await sleep(retryDelayMs * 2 ** attempt, signal);
+        continue;
+      }
+      if (response.ok) return response;
+      // The body of a 400 says what was wrong with the request (e.g. an unsupported response_format)
+      const detail = response.status === 400 ? await response.text?.().catch(() => '') : '';
+      const error = Object.assign(new Error(`${url} responded with HTTP ${response.status}${detail ? `: ${detail.slice(0, 500)}` : ''}`), {
+        status: response.status,
+        body: detail || '',
+      });
+      const retryAfterMs = Number(response.headers?.get('retry-after')) * 1000 || retryDelayMs * 2 ** attempt;
+      if (!RETRYABLE_STATUSES.has(response.status) || attempt >= retries || retryAfterMs > timeoutMs) throw error;
+      await response.body?.cancel().catch(() => {});
+      console.warn(`${error.message}; retrying in ${retryAfterMs} ms`);
+      await sleep(retryAfterMs, signal);
+    }
+  };
+  return {
+    name: 'openai-compatible',
+    model,
+    async chatStream(messages, context = {}, onText) {
+      return readCompletionStream((await post({ messages, stream: true }, context)).body, onText);
+    },
+    async chat(messages, context = {}) {
+      const response = await post({ messages }, context);
+      const data = await response.json();
+      const content = data?.choices?.[0]?.message?.content;
+      if (typeof content !== 'string') {
+        throw new Error(`${url} returned no message content`);
+      }
+      return content;
+    },
+  };
+}
+
+/**
+ * Keyword grading in the evaluation reply format (see EVALUATION_SCHEMA in ./evaluation.js): a key concept
+ * is covered when the answer contains it (case-insensitive), and the answer is correct when it covers
+ * `minKeywords` of them (at least one, at most all). Without a rubric any non-empty answer is correct.
+ */
+export function mockEvaluation(answer, rubric = null) {
+  const text = String(answer ?? '').toLowerCase();
+  const keywords = rubric?.keywords || [];
+  const coveredConcepts = keywords.filter((k) => text.includes(k.toLowerCase()));
+  const missingConcepts = keywords.filter((k) => !coveredConcepts.includes(k));
+  const needed = Math.min(Math.max(rubric?.minKeywords || 0, 1), keywords.length);
+  const isCorrect = keywords.length > 0 ? coveredConcepts.length >= needed : text.trim() !== '';
+  const grade = keywords.length > 0 ? Math.round((10 * coveredConcepts.length) / keywords.length) : isCorrect ? 5 : 0;
+  return {
+    grade,
+    isCorrect,
+    hint: missingConcepts.length > 0 ? `Consider discussing ${missingConcepts[0]}.` : '',
+    evaluation: keywords.length > 0
+      ? `Mock evaluation: the answer mentions ${coveredConcepts.length} of ${keywords.length} key concepts.`
+      : 'Mock evaluation: there are no key concepts to check.',
+    confidence: 0.5,
+    criteria: keywords.map((k) => ({ criterion: `Mentions ${k}`, met: coveredConcepts.includes(k), note: '' })),
+    coveredConcepts,
+    missingConcepts,
+  };
+}
+
+/** Canned /ask answer from the mock provider. */
+export function mockAnswer(question) {
+  return `Mock answer (LLM_PROVIDER=mock): a model would answer "${String(question ?? '').trim()}" here.`;
+}
+
+function createMockProvider() {
+  const provider = {
+    name: 'mock',
+    model: 'mock',
+    async chat(messages, context = {}) {
+      if (context.task === 'evaluate') {
+        return JSON.stringify(mockEvaluation(context.answer, context.rubric));
+      }
+      if (context.task === 'ask') {
+        return mockAnswer(context.question);
+      }
+      throw new Error('The mock provider only answers evaluate and ask requests');
+    },
+    /** Replays the reply in word-sized pieces, like a model generating it. */
+    async chatStream(messages, context = {}, onText) {
+      const reply = await provider.chat(messages, context);
+      const pieces = reply.match(/\S+\s*|\s+/g) || [];
+      let text = '';
+      for (const piece of pieces) {
+        context.signal?.throwIfAborted();
+        text += piece;
+        onText(text);
+      }
+      return reply;
+    },
+  };
+  return provider;
+}
+
+/**
+ * Creates the chat provider `provider` for `model`.
+ * @param {{ provider?: string, model: string, apiKey?: string, baseUrl?: string, fetchImpl?: typeof fetch,
+ *   timeoutMs?: number, retries?: number, retryDelayMs?: number }} options - `retryDelayMs` is the first backoff, doubled per retry
+ * @returns {{ name: string, model: string, chat: (messages: Array<{ role: string, content: string }>, context?: Object) => Promise<string>,
+ *   chatStream: (messages: Array<{ role: string, content: string }>, context: Object, onText: (text: string) => void) => Promise<string> }}
+ * @throws {LLMConfigError} For an unknown provider or missing settings
+ */
+export function createLLMProvider({ provider = 'openai', ...options }) {
+  switch (provider) {
+    case 'openai':
+      return createOpenAIProvider(options);
+    case 'openai-compatible':
+      return createOpenAICompatibleProvider(options);
+    case 'mock':
+      return createMockProvider();
+    default:
+      throw new LLMConfigError(`Unknown LLM_PROVIDER "${provider}"; use one of: ${LLM_PROVIDERS.join(', ')}`);
+  }
+}
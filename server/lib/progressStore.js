@@ -0,0 +1,170 @@
+/**
+ * File-backed store for cross-device progress sync: one JSON file per learner, holding a hash of
+ * the learner's server-issued secret token, their `userAnswers` records (same shape as the
+ * browser's IndexedDB store: `{ questionId, answers: [...] }`) and `resets`, the time each progress
+ * scope was last restarted, so a restart on one device also clears the older answers synced from others.
+ */
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { answerKey, applyScopeResets, mergeResets } from './answerHistory.js';
+
+const LEARNER_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/** Returns true if `id` looks like a learner id issued by `createLearner` (also keeps ids safe as file names). */
+export function isValidLearnerId(id) {
+  return typeof id === 'string' && LEARNER_ID_PATTERN.test(id);
+}
+
+/** SHA-256 of a token; only the hash is stored. */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Returns an error message for the first malformed `userAnswers` record, or null when all are valid.
+ */
+export function validateAnswerRecords(records) {
+  if (!Array.isArray(records)) {
+    return 'userAnswers must be a list';
+  }
+  for (let i = 0; i < records.length; i++) {
+    const record = records[i];
+    const valid =
+      isObject(record) &&
+      (typeof record.questionId === 'number' || typeof record.questionId === 'string') &&
+      Array.isArray(record.answers) &&
+      record.answers.every((a) => isObject(a) && typeof a.isCorrect === 'boolean' && typeof a.submittedAt === 'string');
+    if (!valid) {
+      return `userAnswers[${i}] is not a valid answer history record`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns an error message if `resets` is not a map of progress scope to ISO timestamp, else null.
+ */
+export function validateResets(resets) {
+  if (resets === undefined) return null;
+  if (!isObject(resets) || !Object.values(resets).every((v) => typeof v === 'string' && !Number.isNaN(Date.parse(v)))) {
+    return 'resets must map progress scopes to ISO timestamps';
+  }
+  return null;
+}
+
+/**
+ * Merges answer histories by question. Submissions are matched by scope, `submittedAt` and answer;
+ * when both sides hold the same submission with different contents (e.g. re-graded on one device),
+ * the copy with the later `updatedAt` wins, otherwise the existing copy is kept. Answers are sorted by `submittedAt`.
+ * @param {Object[]} existing
+ * @param {Object[]} incoming
+ * @returns {Object[]} Merged records
+ */
+export function mergeAnswerRecords(existing, incoming) {
+  const byQuestion = new Map();
+  for (const record of existing) {
+    byQuestion.set(record.questionId, new Map(record.answers.map((a) => [answerKey(a), a])));
+  }
+  for (const record of incoming) {
+    const answers = byQuestion.get(record.questionId) || new Map();
+    for (const answer of record.answers) {
+      const key = answerKey(answer);
+      const current = answers.get(key);
+      if (!current || (answer.updatedAt || '') > (current.updatedAt || '')) {
+        answers.set(key, { ...answer, questionId: record.questionId });
+      }
+    }
+    byQuestion.set(record.questionId, answers);
+  }
+  return [...byQuestion].map(([questionId, answers]) => ({
+    questionId,
+    answers: [...answers.values()].sort((a, b) => a.submittedAt.localeCompare(b.submittedAt)),
+  }));
+}
+
+/**
+ * Creates a progress store writing to `dir` (created on first write).
+ * Writes for one learner are serialized and atomic (temp file + rename).
+ * @param {string} dir
+ */
+export function createProgressStore(dir) {
+  /** @type {Map<string, Promise>} Last pending write per learner */
+  const queues = new Map();
+
+  const fileFor = (learnerId) => path.join(dir, `${learnerId}.json`);
+
+  async function read(learnerId) {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(learnerId), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function write(learner) {
+    await fs.mkdir(dir, { recursive: true });
+    const tmp = `${fileFor(learner.learnerId)}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(learner), 'utf-8');
+    await fs.rename(tmp, fileFor(learner.learnerId));
+  }
+
+  function serialized(learnerId, task) {
+    const run = (queues.get(learnerId) || Promise.resolve()).then(task, task);
+    const tail = run.catch(() => {});
+    queues.set(learnerId, tail);
+    tail.then(() => {
+      if (queues.get(learnerId) === tail) queues.delete(learnerId);
+    });
+    return run;
+  }
+
+  return {
+    /**
+     * Registers a learner with empty progress.
+     * @returns {Promise<{ learnerId: string, token: string }>} The token is returned only here.
+     */
+    async createLearner() {
+      const learnerId = crypto.randomUUID();
+      const token = crypto.randomBytes(32).toString('base64url');
+      const now = new Date().toISOString();
+      await write({ learnerId, tokenHash: hashToken(token), createdAt: now, updatedAt: now, userAnswers: [], resets: {} });
+      return { learnerId, token };
+    },
+
+    /**
+     * Returns the learner's stored data if `token` is theirs, else null (also for unknown learners).
+     */
+    async authenticate(learnerId, token) {
+      if (!isValidLearnerId(learnerId) || typeof token !== 'string' || !token) return null;
+      const learner = await read(learnerId);
+      if (!learner) return null;
+      const expected = Buffer.from(learner.tokenHash, 'hex');
+      const actual = Buffer.from(hashToken(token), 'hex');
+      return crypto.timingSafeEqual(expected, actual) ? learner : null;
+    },
+
+    /**
+     * Merges `userAnswers` and `resets` into the learner's progress (see mergeAnswerRecords and applyScopeResets in answerHistory.js).
+     * @returns {Promise<{ userAnswers: Object[], resets: Object<string, string>, updatedAt: string }>}
+     */
+    mergeAnswers(learnerId, userAnswers, resets = {}) {
+      return serialized(learnerId, async () => {
+        const learner = await read(learnerId);
+        if (!learner) throw new Error(`Unknown learner ${learnerId}`);
+        const mergedResets = mergeResets(learner.resets, resets);
+        const next = applyScopeResets(mergeAnswerRecords(learner.userAnswers, userAnswers), mergedResets);
+        if (JSON.stringify(next) !== JSON.stringify(learner.userAnswers) || JSON.stringify(mergedResets) !== JSON.stringify(learner.resets || {})) {
+          learner.userAnswers = next;
+          learner.resets = mergedResets;
+          learner.updatedAt = new Date().toISOString();
+          await write(learner);
+        }
+        return { userAnswers: learner.userAnswers, resets: learner.resets || {}, updatedAt: learner.updatedAt };
+      });
+    },
+  };
+}
@@ -0,0 +1,59 @@
+/**
+ * Server-side copy of the compiled question bank (questions.json from `npm run compile:questions`),
+ * so /evaluate grades against the author's reference answer and keywords rather than anything a client sends.
+ */
+import fs from 'fs/promises';
+
+/**
+ * Creates a loader for the question bank at `file`. The file is re-read when its modification
+ * time changes, so a redeployed bank is picked up without restarting the server.
+ * @param {string} file - Path to the compiled questions.json
+ */
+export function createQuestionBank(file) {
+  let cached = null;
+
+  /**
+   * @returns {Promise<Map<number, Object>>} Questions by id
+   */
+  async function load() {
+    const { mtimeMs } = await fs.stat(file);
+    if (!cached || cached.mtimeMs !== mtimeMs) {
+      const questions = JSON.parse(await fs.readFile(file, 'utf-8'));
+      cached = { mtimeMs, byId: new Map(questions.map((q) => [q.id, q])) };
+    }
+    return cached.byId;
+  }
+
+  return {
+    /**
+     * Reads the bank, so a missing or broken file can be reported at startup instead of on every request.
+     * @returns {Promise<number>} Number of questions
+     * @throws {Error} When the file cannot be read or parsed
+     */
+    async count() {
+      return (await load()).size;
+    },
+
+    /**
+     * Looks up a question by id.
+     * @param {number} id
+     * @returns {Promise<Object|null>}
+     */
+    async get(id) {
+      return (await load()).get(id) || null;
+    },
+  };
+}
+
+/**
+ * Grading rubric of a subjective question: the reference answer and the keyword concepts an answer should cover.
+ * @param {Object} question - A compiled subjective question
+ * @returns {{ expectedAnswer: string, keywords: string[], minKeywords: number }}
+ */
+export function getRubric(question) {
+  return {
+    expectedAnswer: question.expectedAnswer,
+    keywords: question.keywords || [],
+    minKeywords: question.minKeywords || 0,
+  };
+}
@@ -0,0 +1,90 @@
+/**
+ * In-memory token-bucket rate limiting for the API routes. Each route has a bucket per client IP and,
+ * when the request is from an authenticated learner, one per learner; a request spends one token from each. Limits are
+ * configured as `<requests>/<second|minute|hour>` (e.g. `20/minute`); `off` disables one.
+ * The buckets live in this process, so with several instances each enforces its own limits.
+ */
+
+const PERIOD_SECONDS = { s: 1, sec: 1, second: 1, m: 60, min: 60, minute: 60, h: 3600, hour: 3600 };
+
+/**
+ * Parses a limit such as `20/minute`.
+ * @param {string|undefined} value
+ * @param {string} fallback - Used when `value` is not set
+ * @returns {{ capacity: number, refillPerSecond: number }|null} null when the limit is `off` or `0`
+ * @throws {Error} For a malformed limit
+ */
+export function parseRateLimit(value, fallback) {
+  const text = String(value ?? fallback).trim().toLowerCase();
+  if (text === 'off' || text === '0') return null;
+  const match = text.match(/^(\d+)\s*\/\s*([a-z]+)$/);
+  const period = match && PERIOD_SECONDS[match[2].replace(/s$/, '')];
+  if (!match || !period || Number(match[1]) < 1) {
+    throw new Error(`Invalid rate limit "${value}"; use e.g. 20/minute or off`);
+  }
+  const capacity = Number(match[1]);
+  return { capacity, refillPerSecond: capacity / period };
+}
+
+/**
+ * Token buckets keyed by client: each holds up to `capacity` tokens and refills continuously.
+ * @param {{ capacity: number, refillPerSecond: number }} limit
+ * @param {{ now?: () => number, maxKeys?: number }} [options] - Full buckets are dropped when there are more than `maxKeys`
+ */
+export function createTokenBucket({ capacity, refillPerSecond }, { now = Date.now, maxKeys = 10000 } = {}) {
+  /** @type {Map<string, { tokens: number, updatedAt: number }>} */
+  const buckets = new Map();
+
+  const refill = (bucket, time) => Math.min(capacity, bucket.tokens + ((time - bucket.updatedAt) / 1000) * refillPerSecond);
+
+  return {
+    /**
+     * Spends a token for `key` if one is available.
+     * @param {string} key
+     * @returns {{ allowed: boolean, retryAfterSeconds: number }} `retryAfterSeconds` until the next token (0 when allowed)
+     */
+    take(key) {
+      const time = now();
+      const bucket = buckets.get(key) || { tokens: capacity, updatedAt: time };
+      bucket.tokens = refill(bucket, time);
+      bucket.updatedAt = time;
+      buckets.set(key, bucket);
+      if (buckets.size > maxKeys) {
+        for (const [k, b] of buckets) {
+          if (refill(b, time) >= capacity) buckets.delete(k);
+        }
+      }
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return { allowed: true, retryAfterSeconds: 0 };
+      }
+      return { allowed: false, retryAfterSeconds: Math.ceil((1 - bucket.tokens) / refillPerSecond) };
+    },
+  };
+}
+
+/**
+ * Express middleware applying a route's limits. Rejected requests get 429 with a `Retry-After` header
+ * and `{ error, retryAfter }` (seconds).
+ * @param {Object} options
+ * @param {{ capacity: number, refillPerSecond: number }|null} options.perIp
+ * @param {{ capacity: number, refillPerSecond: number }|null} [options.perLearner]
+ * @param {(req: import('express').Request) => string|null} [options.learnerId] - The authenticated learner a request is from, if any
+ * @param {Object} [options.body] - Extra fields of the 429 body (e.g. `contractVersion`)
+ * @param {() => number} [options.now]
+ */
+export function rateLimit({ perIp, perLearner = null, learnerId = () => null, body = {}, now = Date.now }) {
+  const ipBuckets = perIp && createTokenBucket(perIp, { now });
+  const learnerBuckets = perLearner && createTokenBucket(perLearner, { now });
+
+  return function rateLimitMiddleware(req, res, next) {
+    const checks = [];
+    if (ipBuckets) checks.push(ipBuckets.take(req.ip));
+    const learner = learnerBuckets && learnerId(req);
+    if (learner) checks.push(learnerBuckets.take(learner));
+    const retryAfter = Math.max(0, ...checks.filter((c) => !c.allowed).map((c) => c.retryAfterSeconds));
+    if (checks.every((c) => c.allowed)) return next();
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ ...body, error: 'Too many requests; try again later', retryAfter });
+  };
+}
@@ -0,0 +1,44 @@
+/**
+ * Server-Sent Events for the streaming API routes (/evaluate/stream, /ask/stream). Every event carries
+ * a JSON payload; a stream ends with a `result` or an `error` event.
+ */
+
+/**
+ * One event in the text/event-stream format.
+ * @param {string} event
+ * @param {*} data - Serialized as JSON (a single line, as SSE requires)
+ * @returns {string}
+ */
+export function formatServerSentEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Starts an event stream on an Express response (status 200 and headers are sent immediately).
+ * Events sent after the client disconnects are dropped, and `signal` aborts then, so work for the stream can stop.
+ * @param {import('express').Response} res
+ * @returns {{ send: (event: string, data: *) => void, end: () => void, signal: AbortSignal }}
+ */
+export function openEventStream(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stops nginx-style proxies from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  const disconnected = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) disconnected.abort(new Error('The client disconnected'));
+  });
+  return {
+    signal: disconnected.signal,
+    send(event, data) {
+      if (!res.writableEnded && !res.destroyed) res.write(formatServerSentEvent(event, data));
+    },
+    end() {
+      if (!res.writableEnded) res.end();
+    },
+  };
+}
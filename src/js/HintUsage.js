@@ -0,0 +1,80 @@
+import Storage from './Storage.js';
+
+/**
+ * Hints revealed for one question within a progress scope (main quiz, label/deck quiz, or review session).
+ * One record per question and scope; it is cleared when that scope's quiz restarts.
+ */
+export class HintUsage {
+    static storeName = 'hintUsage';
+
+    constructor({ questionId, scope, revealed = [], revealedAt = [] }) {
+        this.questionId = questionId;
+        this.scope = scope;
+        /** @type {number[]} Indices into `question.hints`, in reveal order */
+        this.revealed = revealed;
+        /** @type {string[]} ISO timestamps, parallel to `revealed` */
+        this.revealedAt = revealedAt;
+    }
+
+    /** IndexedDB key: one record per scope and question. */
+    static key(scope, questionId) {
+        return `${scope}:${questionId}`;
+    }
+
+    /**
+     * Records a revealed hint (idempotent).
+     * @param {number} hintIndex
+     * @returns {boolean} Whether the hint was newly revealed.
+     */
+    reveal(hintIndex) {
+        if (this.revealed.includes(hintIndex)) return false;
+        this.revealed.push(hintIndex);
+        this.revealedAt.push(new Date().toISOString());
+        return true;
+    }
+
+    toJSON() {
+        return {
+            id: HintUsage.key(this.scope, this.questionId),
+            questionId: this.questionId,
+            scope: this.scope,
+            revealed: this.revealed,
+            revealedAt: this.revealedAt
+        };
+    }
+
+    static fromJSON(json) {
+        return new HintUsage({
+            questionId: json.questionId,
+            scope: json.scope,
+            revealed: json.revealed,
+            revealedAt: json.revealedAt
+        });
+    }
+
+    async save() {
+        return Storage.save(HintUsage.storeName, this.toJSON());
+    }
+
+    /**
+     * Get the hint usage of every question in a scope
+     * @param {string} scope
+     * @returns {Promise<HintUsage[]>}
+     */
+    static async getAll(scope) {
+        const records = await Storage.getAllByIndex(HintUsage.storeName, 'scope', scope);
+        return records.map(r => HintUsage.fromJSON(r));
+    }
+
+    /**
+     * Delete the hint usage of a scope
+     * @param {string} scope
+     * @returns {Promise<void>}
+     */
+    static async clearAll(scope) {
+        const records = await Storage.getAllByIndex(HintUsage.storeName, 'scope', scope);
+        for (const record of records) {
+            await Storage.deleteById(HintUsage.storeName, record.id);
+        }
+    }
+}
@@ -0,0 +1,64 @@
+import Storage from './Storage.js';
+
+/**
+ * A subjective answer graded provisionally (local keyword check) because the evaluation API was
+ * unreachable. It stays queued until the API re-grades it; see `Quiz.resubmitPendingEvaluations`.
+ */
+export class PendingEvaluation {
+    static storeName = 'pendingEvaluations';
+
+    constructor({ questionId, submittedAt, version, question, answer, queuedAt = new Date().toISOString(), attempts = 0 }) {
+        this.questionId = questionId;
+        /** @type {string} `submittedAt` of the provisional UserAnswer, which identifies it */
+        this.submittedAt = submittedAt;
+        /** @type {number|undefined} Question version the answer was written against */
+        this.version = version;
+        /** @type {string} Question text sent to the evaluation API */
+        this.question = question;
+        this.answer = answer;
+        this.queuedAt = queuedAt;
+        /** @type {number} Failed re-submissions so far */
+        this.attempts = attempts;
+    }
+
+    /** IndexedDB key: one entry per submission. */
+    static key(questionId, submittedAt) {
+        return `${questionId}|${submittedAt}`;
+    }
+
+    toJSON() {
+        return {
+            id: PendingEvaluation.key(this.questionId, this.submittedAt),
+            questionId: this.questionId,
+            submittedAt: this.submittedAt,
+            version: this.version,
+            question: this.question,
+            answer: this.answer,
+            queuedAt: this.queuedAt,
+            attempts: this.attempts
+        };
+    }
+
+    static fromJSON(json) {
+        return new PendingEvaluation(json);
+    }
+
+    async save() {
+        return Storage.save(PendingEvaluation.storeName, this.toJSON());
+    }
+
+    async delete() {
+        return Storage.deleteById(PendingEvaluation.storeName, PendingEvaluation.key(this.questionId, this.submittedAt));
+    }
+
+    /**
+     * Get every queued evaluation, oldest first
+     * @returns {Promise<PendingEvaluation[]>}
+     */
+    static async getAll() {
+        const records = await Storage.getAll(PendingEvaluation.storeName);
+        return records
+            .map(r => PendingEvaluation.fromJSON(r))
+            .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+    }
+}
@@ -9,18 +9,52 @@ export class Question {
         /** @type {string} Stable URL segment for /question/:slug deep links */
         this.slug = data.slug || '';
         this.question = data.question;
-        this.type = data.type; // 'objective' or 'subjective'
+        this.type = data.type; // 'objective', 'multiselect', 'subjective', 'sql', 'numeric', 'ordering', 'cloze' or 'matching'
         this.hints = data.hints || [];
+        /** @type {number[]|undefined} Score cost (fraction of the question) of each hint, parallel to `hints` */
+        this.hintCosts = data.hintCosts;
         this.version = data.version || 1;
-        this.expectedAnswer = data.expectedAnswer || '';
+        /** @type {string|string[]} Option text (objective), correct option texts (multiselect), items in order (ordering), first accepted text per blank (cloze), right item per pair (matching), reference query (sql), or reference answer */
+        this.expectedAnswer = data.expectedAnswer || (['multiselect', 'ordering', 'cloze', 'matching'].includes(this.type) ? [] : '');
         this.labels = data.labels || [];
+        /** @type {number|undefined} Seconds allowed for this question in timed exam mode */
+        this.timeLimit = data.timeLimit;
 
         if (this.type === 'objective') {
             this.options = data.options || [];
+        } else if (this.type === 'multiselect') {
+            this.options = data.options || [];
+            /** @type {'all-or-nothing'|'partial'} */
+            this.scoring = data.scoring || 'all-or-nothing';
+        } else if (this.type === 'ordering') {
+            /** @type {string[]} Items in the correct order; the card shows them shuffled */
+            this.options = data.options || [];
+        } else if (this.type === 'cloze') {
+            /** @type {Array<{ accept: string[] }>} Accepted alternatives per `{{n}}` placeholder in `question` */
+            this.blanks = data.blanks || [];
+        } else if (this.type === 'matching') {
+            /** @type {string[]} Column headings, e.g. ['SCD type', 'Behavior'] */
+            this.columns = data.columns || [];
+            /** @type {Array<{ left: string, right: string }>} Correct pairs; the card shuffles the right items */
+            this.pairs = data.pairs || [];
         } else if (this.type === 'subjective') {
             this.keywords = data.keywords || [];
             this.minKeywords = data.minKeywords || 0;
             this.maxLength = data.maxLength || 0;
+        } else if (this.type === 'sql') {
+            /** @type {string} DDL run before every query */
+            this.schema = data.schema || '';
+            /** @type {string} INSERTs run after the schema */
+            this.seed = data.seed || '';
+            this.orderSensitive = data.orderSensitive === true;
+        } else if (this.type === 'numeric') {
+            this.expectedValue = data.expectedValue;
+            /** @type {number|undefined} Absolute tolerance */
+            this.tolerance = data.tolerance;
+            /** @type {number|undefined} Tolerance as a fraction of expectedValue */
+            this.relativeTolerance = data.relativeTolerance;
+            /** @type {string[]} Accepted units; the first is shown next to the input */
+            this.units = data.units || [];
         }
     }
 
@@ -36,12 +70,38 @@ export class Question {
             labels: this.labels
         };
 
+        if (this.hintCosts) {
+            json.hintCosts = this.hintCosts;
+        }
+        if (this.timeLimit) {
+            json.timeLimit = this.timeLimit;
+        }
+
         if (this.type === 'objective') {
             json.options = this.options;
+        } else if (this.type === 'multiselect') {
+            json.options = this.options;
+            json.scoring = this.scoring;
+        } else if (this.type === 'ordering') {
+            json.options = this.options;
+        } else if (this.type === 'cloze') {
+            json.blanks = this.blanks;
+        } else if (this.type === 'matching') {
+            json.columns = this.columns;
+            json.pairs = this.pairs;
         } else if (this.type === 'subjective') {
             json.keywords = this.keywords;
             json.minKeywords = this.minKeywords;
             json.maxLength = this.maxLength;
+        } else if (this.type === 'sql') {
+            json.schema = this.schema;
+            json.seed = this.seed;
+            json.orderSensitive = this.orderSensitive;
+        } else if (this.type === 'numeric') {
+            json.expectedValue = this.expectedValue;
+            json.tolerance = this.tolerance;
+            json.relativeTolerance = this.relativeTolerance;
+            json.units = this.units;
         }
 
         return json;
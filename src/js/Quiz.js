@@ -1,8 +1,69 @@
 import { Question } from './Question.js';
 import { UserAnswer } from './UserAnswer.js';
+import { HintUsage } from './HintUsage.js';
+import { PendingEvaluation } from './PendingEvaluation.js';
+import { getHintPenalty, gradeCloze, gradeMatching, gradeMultiSelect, gradeNumeric, gradeOrdering, normalizeOptionText } from './grading.js';
+import { gradeSqlAnswerSandboxed } from './sqlSandbox.js';
+import { getDueQuestions, scheduleFromHistory } from './reviewScheduler.js';
+import { filterQuestionsByLabels, getLabelScope } from './labelRoute.js';
+import { getDeckScope, selectDeckQuestions } from './deckRoute.js';
+import { drawFromPool } from './shuffle.js';
+import { profileKey } from './profiles.js';
+import { readEventStream } from './eventStream.js';
 
 export const DEFAULT_ANSWER_EVALUATION_API = process.env.VITE_ANSWER_EVALUATION_API || 'http://localhost:8000/evaluate';
 
+/** localStorage key for the running timed exam, so the countdown survives a page reload. */
+const EXAM_STATE_KEY = 'examState';
+
+/** localStorage key for the current attempt's shuffle settings and seed, so a reload reproduces the same order. */
+const ATTEMPT_KEY = 'attempt';
+
+/** localStorage keys holding quiz state (each also exists per progress scope as `key:scope`). */
+export const QUIZ_STATE_KEYS = [ATTEMPT_KEY, EXAM_STATE_KEY];
+
+/** Wait assumed when a 429 response has no usable `Retry-After` header. */
+const DEFAULT_RETRY_AFTER_SECONDS = 60;
+
+/**
+ * Thrown when the evaluation API rate-limits a request (HTTP 429). Unlike an unreachable API, this is
+ * not graded locally: the learner is asked to resubmit after `retryAfterSeconds`.
+ */
+export class RateLimitError extends Error {
+    constructor(retryAfterSeconds) {
+        super(`Too many answers sent for grading. Please try again in ${retryAfterSeconds} seconds.`);
+        this.name = 'RateLimitError';
+        this.retryAfterSeconds = retryAfterSeconds;
+    }
+}
+
+/**
+ * Thrown when the evaluation API answers with an error status other than 429. A 4xx `status` is final
+ * (e.g. 404 for a question the server does not know): re-sending the same answer gets the same answer.
+ */
+export class EvaluationApiError extends Error {
+    constructor(status, message = `Evaluation API responded with HTTP ${status}`) {
+        super(message);
+        this.name = 'EvaluationApiError';
+        this.status = status;
+    }
+
+    /** Whether re-sending the request cannot succeed. */
+    get isPermanent() {
+        return this.status >= 400 && this.status < 500;
+    }
+}
+
+/** Re-submissions of a provisional grade before it is kept as final. */
+export const MAX_EVALUATION_ATTEMPTS = 5;
+
+/** Seconds to wait from a `Retry-After` header (delay in seconds or an HTTP date). */
+function parseRetryAfter(value, now = Date.now()) {
+    if (value && /^\d+$/.test(value.trim())) return Number(value);
+    const date = Date.parse(value || '');
+    return Number.isNaN(date) ? DEFAULT_RETRY_AFTER_SECONDS : Math.max(0, Math.ceil((date - now) / 1000));
+}
+
 /**
  * URL for the compiled question set, anchored to Vite `base` (site root), not the current pathname.
  * Relative `fetch('questions.json')` breaks on `/question/:slug` (resolves to `/question/questions.json`).
@@ -34,35 +95,142 @@ export class Quiz {
      * Creates a new Quiz instance.
      * @param {Object} options - The options for the quiz.
      * @param {string} [options.answerEvaluationApi=DEFAULT_ANSWER_EVALUATION_API] - The API endpoint for evaluating subjective answers.
+     * @param {'quiz'|'review'} [options.mode='quiz'] - 'review' serves only questions due for spaced repetition (see initReview).
+     * @param {string[]} [options.labels] - Restrict the quiz to questions with these labels (/label/:labels routes); progress is kept separately.
+     * @param {'any'|'all'} [options.labelMatch='any'] - Whether a question needs any or all of `labels`.
+     * @param {{ slug: string, title: string, questions: string[] }} [options.deck] - Serve only this deck's questions, in deck order (/deck/:slug routes); progress is kept separately.
+     * @param {() => { api: string, learnerId: string, token: string }|null} [options.getSyncCredentials] - The synced learner
+     *   (see getSyncState in ./progressSync.js), identified to the evaluation API for per-learner rate limits.
      */
     constructor(options = {}) {
         this.answerEvaluationApi = options.answerEvaluationApi || DEFAULT_ANSWER_EVALUATION_API;
+        this.getSyncCredentials = options.getSyncCredentials || (() => null);
+        this.mode = options.mode || 'quiz';
+        this.labels = options.labels?.length ? options.labels : null;
+        this.labelMatch = options.labelMatch || 'any';
+        this.deck = options.deck || null;
+        /** @type {string} Progress scope: answers, hint count and exam state are kept per scope */
+        this.scope = this.deck
+            ? getDeckScope(this.deck.slug)
+            : this.labels ? getLabelScope(this.labels, this.labelMatch) : UserAnswer.mainScope;
         this.questions = [];
+        /** @type {Array} Every question this quiz can serve; `questions` is the current attempt's draw from it */
+        this.questionPool = [];
+        /**
+         * Shuffle settings of the current attempt (not used in review mode), restored by init.
+         * @type {{ seed: number, shuffleQuestions: boolean, shuffleOptions: boolean, drawCount?: number }|null}
+         */
+        this.attempt = null;
         this.userAnswers = new Map();
         this.currentQuestionIndex = 0;
-        this.hintCount = parseInt(localStorage.getItem('hintCount')) || 0;
+        /** @type {string} Scope of hint reveal state; each review session tracks its own hints */
+        this.hintScope = this.mode === 'review' ? 'review' : this.scope;
+        /** @type {Map<*, HintUsage>} Revealed hints per question id */
+        this.hintUsage = new Map();
         this.isCompleted = false;
+        /** @type {Set<number>} Question ids answered since this instance was created */
+        this.sessionAnsweredIds = new Set();
+        /** @type {{ questionId: *, startedAt: number, attemptStartedAt: number }|null} When the current question was shown */
+        this.questionTimer = null;
+        /**
+         * Timed exam state (not used in review mode, restored by init), persisted in localStorage.
+         * @type {{ startedAt: number, timeLimitMs: number, finishedAt?: number, questionTimer?: Object }|null}
+         */
+        this.examState = null;
     }
 
     /**
      * Initializes the quiz by loading questions.
+     * An exam that ended (finished, or its time ran out, also while the page was closed) keeps the quiz completed
+     * until it is restarted, even with questions left unanswered.
      * @async
+     * @param {number} [now=Date.now()]
      * @returns {Array<Object>} An array of answered question objects.
      */
-    async init() {
+    async init(now = Date.now()) {
+        this.attempt = JSON.parse(localStorage.getItem(this.getStorageKey(ATTEMPT_KEY)) || 'null');
         await this.loadQuestions();
         const answeredQuestions = this.getAnsweredQuestions();
         if (answeredQuestions.length > 0) {
-            this.currentQuestionIndex = answeredQuestions.length - 1;
-            if (answeredQuestions[this.currentQuestionIndex]?.isCorrect) {
-                this.moveToNextQuestion();
+            // loadQuestions left the index on the first unanswered question in display order (shuffled and drawn
+            // attempts differ from id order); stay on the question before it while its latest answer is wrong
+            const previous = this.questions[this.currentQuestionIndex - 1];
+            if (this.currentQuestionIndex === this.questions.length || (previous && !this.getLatestUserAnswer(previous.id)?.isCorrect)) {
+                this.currentQuestionIndex--;
             }
         }
-        this.isCompleted = this.checkQuizCompletion();
+        this.examState = JSON.parse(localStorage.getItem(this.getStorageKey(EXAM_STATE_KEY)) || 'null');
+        if (this.examState?.questionTimer) {
+            this.questionTimer = this.examState.questionTimer;
+        }
+        if (this.getExamRemainingMs(now) === 0) {
+            this.endExam(this.examState.startedAt + this.examState.timeLimitMs);
+        }
+        this.isCompleted = this.checkQuizCompletion() || Boolean(this.examState?.finishedAt);
         console.log('Quiz ready to start');
         return answeredQuestions;
     }
 
+    /**
+     * Initializes a review session: loads questions and answers, then keeps only the questions
+     * due for review now (most overdue first). Use with `new Quiz({ mode: 'review' })`.
+     * @async
+     * @param {Date} [now]
+     * @returns {Promise<Array<Object>>} The due questions.
+     */
+    async initReview(now = new Date()) {
+        await HintUsage.clearAll(this.hintScope);
+        await this.loadQuestions({ skipProgressionIndex: true });
+        this.questions = getDueQuestions(this.questions, this.userAnswers, now);
+        this.currentQuestionIndex = 0;
+        this.isCompleted = this.questions.length === 0;
+        console.log(`Review ready: ${this.questions.length} due`);
+        return this.questions;
+    }
+
+    /**
+     * Scopes a localStorage key to the active profile and this quiz's progress scope (the main quiz keeps the unscoped keys).
+     * @param {string} key
+     * @returns {string}
+     */
+    getStorageKey(key) {
+        return profileKey(this.scope === UserAnswer.mainScope ? key : `${key}:${this.scope}`);
+    }
+
+    /**
+     * Whether this quiz serves due questions only (spaced-repetition review).
+     * @returns {boolean}
+     */
+    isReviewMode() {
+        return this.mode === 'review';
+    }
+
+    /**
+     * Gets how many distinct questions were answered in this session (e.g. reviewed in review mode).
+     * @returns {number}
+     */
+    getSessionAnsweredCount() {
+        return this.sessionAnsweredIds.size;
+    }
+
+    /**
+     * Gets the questions due for spaced-repetition review, computed from each question's answer history.
+     * @param {Date} [now]
+     * @returns {Array<Object>} Due questions, most overdue first.
+     */
+    getDueQuestions(now = new Date()) {
+        return getDueQuestions(this.questions, this.userAnswers, now);
+    }
+
+    /**
+     * Gets the review schedule of a question (next due date, interval, ease), or null if never answered.
+     * @param {number} questionId
+     * @returns {Object|null}
+     */
+    getReviewSchedule(questionId) {
+        return scheduleFromHistory(this.userAnswers.get(questionId));
+    }
+
     /**
      * Loads questions from the server and syncs with IndexedDB.
      * @param {Object} [options]
@@ -80,9 +248,18 @@ export class Quiz {
             console.error('Error syncing questions:', error);
             this.questions = await Question.getAll();
         }
+        if (this.deck) {
+            this.questions = selectDeckQuestions(this.questions, this.deck);
+        } else if (this.labels) {
+            this.questions = filterQuestionsByLabels(this.questions, this.labels, this.labelMatch);
+        }
+        this.questionPool = this.questions;
+        if (!skipProgressionIndex) {
+            this.questions = this.drawAttemptQuestions();
+        }
         
-        // Load user answers
-        const savedAnswers = await UserAnswer.getAll();
+        // Load user answers (this scope only)
+        const savedAnswers = await UserAnswer.getAll(this.scope);
         savedAnswers.forEach(answer => {
             if (!this.userAnswers.has(answer.questionId)) {
                 this.userAnswers.set(answer.questionId, []);
@@ -90,6 +267,9 @@ export class Quiz {
             this.userAnswers.get(answer.questionId).push(answer);
         });
 
+        const hintUsage = await HintUsage.getAll(this.hintScope);
+        this.hintUsage = new Map(hintUsage.map(usage => [usage.questionId, usage]));
+
         if (!skipProgressionIndex) {
             // Set current question index to the first unanswered question
             this.currentQuestionIndex = this.questions.findIndex(q => !this.userAnswers.has(q.id));
@@ -100,22 +280,28 @@ export class Quiz {
     }
 
     /**
-     * Restarts the quiz, clearing user answers and resetting counters.
+     * Restarts the quiz, clearing user answers and resetting counters, and starts a new attempt.
      * @async
+     * @param {Object} [attemptOptions] - Shuffle settings for the new attempt (see startAttempt).
      * @returns {Promise<void>}
      */
-    async restart() {
+    async restart(attemptOptions = {}) {
         console.log('Restarting quiz...');
-        console.log('Clearing all answers...');
-        await UserAnswer.clearAll();
+        console.log(`Clearing answers in scope ${this.scope}...`);
+        await UserAnswer.clearAll(this.scope);
+        await HintUsage.clearAll(this.hintScope);
         this.userAnswers.clear();
+        this.hintUsage.clear();
+        this.sessionAnsweredIds.clear();
         this.currentQuestionIndex = 0;
-        this.hintCount = 0;
         this.isCompleted = false;
-        localStorage.setItem('hintCount', this.hintCount);
+        this.questionTimer = null;
+        this.examState = null;
+        localStorage.removeItem(this.getStorageKey(EXAM_STATE_KEY));
+        this.startAttempt(attemptOptions);
         console.log('Quiz state after restart:', {
             currentQuestionIndex: this.currentQuestionIndex,
-            hintCount: this.hintCount,
+            hintCount: this.getHintCount(),
             isCompleted: this.isCompleted,
             userAnswersSize: this.userAnswers.size
         });
@@ -140,9 +326,11 @@ export class Quiz {
     /**
      * Submits an answer for the current question or a specific question if questionId is provided.
      * @async
-     * @param {string} userAnswerText - The user's answer to the question.
+     * @param {string|string[]} userAnswerText - The user's answer to the question (option texts for multiselect and ordering, one entry per blank for cloze, one right item per pair for matching).
      * @param {number} [questionId] - Optional. The ID of the specific question to answer.
+     * @param {{ queueWhenRateLimited?: boolean, onPartial?: (text: string) => void }} [options] - See evaluateSubjectiveAnswer.
      * @returns {Promise<Object>} The evaluation result.
+     * @throws {RateLimitError} When the evaluation API rate-limits a subjective answer; nothing is recorded.
      * @example
      * const evaluation = await quiz.submitAnswer('User's answer');
      * console.log(evaluation);
@@ -155,12 +343,15 @@ export class Quiz {
      * //     confidenceScore: 0.5  
      * // }
      */
-    async submitAnswer(userAnswerText, questionId) {
+    async submitAnswer(userAnswerText, questionId, options = {}) {
         const question = questionId ? this.questions.find(q => q.id === questionId) : this.getCurrentQuestion();
         if (!question) {
             throw new Error('Question not found');
         }
-        const { isCorrect, grade, nextHint, fullEvaluation, confidenceScore } = await this.checkAnswer(question, userAnswerText);
+        const submittedAt = Date.now();
+        const { isCorrect, grade, nextHint, fullEvaluation, confidenceScore, criteria, coveredConcepts, missingConcepts, incorrectBlanks, incorrectPairs, provisional } = await this.checkAnswer(question, userAnswerText, options);
+        // Taken after grading so a rate-limited submission (which throws) leaves the attempt timer running
+        const timeSpentMs = this.takeAttemptTime(question.id, submittedAt);
         
         console.log(`Submitting answer for question ${question.id}:`, { userAnswerText, isCorrect, grade });
 
@@ -171,31 +362,51 @@ export class Quiz {
             grade,
             nextHint,
             fullEvaluation,
-            confidenceScore
+            confidenceScore,
+            criteria,
+            coveredConcepts,
+            missingConcepts,
+            incorrectBlanks,
+            incorrectPairs,
+            timeSpentMs,
+            hintsUsed: this.getHintsUsed(question.id),
+            scope: this.scope,
+            provisional
         });
 
         if (!this.userAnswers.has(question.id)) {
             this.userAnswers.set(question.id, []);
         }
         this.userAnswers.get(question.id).push(newAnswer);
+        this.sessionAnsweredIds.add(question.id);
 
         try {
             // Save user answer to IndexedDB
             await newAnswer.save();
+            if (provisional) {
+                await new PendingEvaluation({
+                    questionId: question.id,
+                    submittedAt: newAnswer.submittedAt,
+                    version: question.version,
+                    question: question.question,
+                    answer: userAnswerText
+                }).save();
+            }
         } catch (error) {
             console.error('Error saving user answer:', error);
         }
 
         // this.isCompleted = this.checkQuizCompletion();
         console.log('Quiz completion status:', this.isCompleted);
-        return { isCorrect, grade, nextHint, fullEvaluation, confidenceScore };
+        return { isCorrect, grade, nextHint, fullEvaluation, confidenceScore, criteria, coveredConcepts, missingConcepts, incorrectBlanks, incorrectPairs, provisional };
     }
 
     /**
      * Checks if the given answer is correct for the given question.
      * @async
      * @param {Object} question - The question object.
-     * @param {string} userAnswerText - The user's answer.
+     * @param {string|string[]} userAnswerText - The user's answer (option texts for multiselect and ordering, one entry per blank for cloze, one right item per pair for matching).
+     * @param {{ queueWhenRateLimited?: boolean, onPartial?: (text: string) => void }} [options] - Passed to evaluateSubjectiveAnswer.
      * @returns {Promise<Object>} The evaluation result.
      * @example
      * const evaluation = await quiz.checkAnswer(question, userAnswerText);
@@ -207,33 +418,64 @@ export class Quiz {
      * //     grade?: number <0,10> ,
      * //     nextHint?: string,
      * //     fullEvaluation?: string,
+     * //     incorrectBlanks?: number[], // cloze only: indices of wrong blanks
+     * //     incorrectPairs?: number[], // matching only: indices of wrong pairs
      * // }
      */
-    async checkAnswer(question, userAnswerText) {
+    async checkAnswer(question, userAnswerText, options = {}) {
         if (question.type === 'objective') {
-            const norm = (s) =>
-                String(s || '')
-                    .replace(/\*\*([^*]+)\*\*/g, '$1')
-                    .replace(/\*([^*]+)\*/g, '$1')
-                    .replace(/`([^`]+)`/g, '$1')
-                    .trim()
-                    .toLowerCase();
             return {
-                isCorrect: norm(userAnswerText) === norm(question.expectedAnswer),
+                isCorrect: normalizeOptionText(userAnswerText) === normalizeOptionText(question.expectedAnswer),
                 confidenceScore: 1,
             };
+        } else if (question.type === 'multiselect') {
+            return gradeMultiSelect(question, userAnswerText);
+        } else if (question.type === 'numeric') {
+            return gradeNumeric(question, userAnswerText);
+        } else if (question.type === 'ordering') {
+            return gradeOrdering(question, userAnswerText);
+        } else if (question.type === 'cloze') {
+            return gradeCloze(question, userAnswerText);
+        } else if (question.type === 'matching') {
+            return gradeMatching(question, userAnswerText);
         } else if (question.type === 'subjective') {
-            return await this.evaluateSubjectiveAnswer(question, userAnswerText);
+            return await this.evaluateSubjectiveAnswer(question, userAnswerText, options);
+        } else if (question.type === 'sql') {
+            return await this.evaluateSqlAnswer(question, userAnswerText);
         }
         return { isCorrect: false, confidenceScore: 0 };
     }
 
+    /**
+     * Evaluates a SQL answer by running it in an in-memory SQLite database (sql.js) and
+     * comparing its result set with the reference query's. The query runs in a Web Worker that is
+     * stopped after a time limit, so a runaway query cannot freeze the page.
+     * @async
+     * @param {Object} question - The sql question object (schema, seed, expectedAnswer, orderSensitive).
+     * @param {string} userQuery - The learner's query.
+     * @returns {Promise<Object>} The evaluation result; `nextHint` explains a mismatch or SQL error.
+     */
+    async evaluateSqlAnswer(question, userQuery) {
+        try {
+            return await gradeSqlAnswerSandboxed(question, userQuery);
+        } catch (error) {
+            console.error('Error running SQL answer:', error);
+            return { isCorrect: false, confidenceScore: 0, nextHint: 'Could not run your query in the browser. Please try again.' };
+        }
+    }
+
     /**
      * Evaluates a subjective answer using the API or falls back to local evaluation.
+     * A local result is marked `provisional`: submitAnswer queues it for AI re-grading.
+     * Answers over the question's `maxLength` are marked incorrect without calling the API.
      * @async
      * @param {Object} question - The question object.
      * @param {string} userAnswer - The user's answer.
+     * @param {{ queueWhenRateLimited?: boolean, onPartial?: (text: string) => void }} [options]
+     *   `queueWhenRateLimited`: when rate-limited, grade provisionally instead of throwing (for auto-submits
+     *   that cannot wait, e.g. an exam timeout). `onPartial`: stream the evaluation (see requestSubjectiveEvaluation).
      * @returns {Promise<Object>} The evaluation result.
+     * @throws {RateLimitError} When the API rate-limits the request, unless `queueWhenRateLimited`.
      * @example
      * const evaluation = await quiz.evaluateSubjectiveAnswer(question, userAnswer);
      * console.log(evaluation);
@@ -243,40 +485,179 @@ export class Quiz {
      * //     grade: 10,
      * //     nextHint: 'Next hint',
      * //     fullEvaluation: 'Full evaluation',
-     * //     confidenceScore: 0.5
+     * //     confidenceScore: 0.9,
+     * //     criteria: [{ criterion: 'Mentions atomicity', met: true, note: '…' }],
+     * //     coveredConcepts: ['atomic'],
+     * //     missingConcepts: ['durable']
      * // }
      */
-    async evaluateSubjectiveAnswer(question, userAnswer) {
+    async evaluateSubjectiveAnswer(question, userAnswer, { queueWhenRateLimited = false, onPartial } = {}) {
+        if (question.maxLength > 0 && userAnswer.length > question.maxLength) {
+            return {
+                isCorrect: false,
+                grade: 0,
+                confidenceScore: 1,
+                nextHint: `Keep your answer within ${question.maxLength} characters (it has ${userAnswer.length}).`
+            };
+        }
         try {
-            const response = await fetch(this.answerEvaluationApi, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    question: question.question,
-                    answer: userAnswer,
-                }),
+            return await this.requestSubjectiveEvaluation(question, userAnswer, { onPartial });
+        } catch (error) {
+            if (error instanceof RateLimitError && !queueWhenRateLimited) {
+                throw error;
+            }
+            console.error('Error evaluating subjective answer:', error);
+            // Fallback to local evaluation if API call fails
+            return { ...this.localEvaluateSubjectiveAnswer(question, userAnswer), provisional: true };
+        }
+    }
+
+    /**
+     * Calls the evaluation API. The server grades against its own copy of the question (looked up by id),
+     * so the reference answer and keywords are never sent from here.
+     * With `onPartial`, the streaming endpoint (`<answerEvaluationApi>/stream`) is used and `onPartial` receives the
+     * evaluation text generated so far; a server without it (HTTP 404) is asked for the whole result instead.
+     * @async
+     * @param {{ id: number, version: number, question: string }} question
+     * @param {string} userAnswer
+     * @param {{ onPartial?: (text: string) => void }} [options]
+     * @returns {Promise<{ isCorrect: boolean, grade: number, nextHint: string, fullEvaluation: string, confidenceScore: number,
+     *   criteria: Array<{ criterion: string, met: boolean, note: string }>, coveredConcepts: string[], missingConcepts: string[] }>}
+     * @throws {RateLimitError} When the API answers HTTP 429
+     * @throws {EvaluationApiError} When the API answers with another error (including malformed evaluator output, HTTP 502)
+     * @throws {Error} When the API is unreachable
+     */
+    async requestSubjectiveEvaluation(question, userAnswer, { onPartial } = {}) {
+        const response = await fetch(onPartial ? `${this.answerEvaluationApi}/stream` : this.answerEvaluationApi, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(onPartial ? { Accept: 'text/event-stream' } : {}),
+                ...this.learnerHeaders(),
+            },
+            body: JSON.stringify({
+                questionId: question.id,
+                version: question.version,
+                question: question.question,
+                answer: userAnswer,
+            }),
+        });
+
+        if (response.status === 429) {
+            throw new RateLimitError(parseRetryAfter(response.headers.get('Retry-After')));
+        }
+        if (onPartial && response.status === 404) {
+            return this.requestSubjectiveEvaluation(question, userAnswer);
+        }
+        if (!response.ok) {
+            throw new EvaluationApiError(response.status);
+        }
+
+        let result;
+        if (onPartial) {
+            await readEventStream(response.body, (event, data) => {
+                if (event === 'partial') onPartial(data.fullEvaluation);
+                else if (event === 'result') result = data;
+                else if (event === 'error') throw new EvaluationApiError(data.status, `Evaluation failed (HTTP ${data.status}): ${data.error}`);
             });
+            if (!result) {
+                throw new Error('The evaluation stream ended without a result');
+            }
+        } else {
+            result = await response.json();
+        }
+        return {
+            isCorrect: result.isCorrect,
+            grade: result.grade,
+            nextHint: result.nextHint,
+            fullEvaluation: result.fullEvaluation,
+            confidenceScore: result.confidenceScore,
+            criteria: result.criteria,
+            coveredConcepts: result.coveredConcepts,
+            missingConcepts: result.missingConcepts
+        };
+    }
 
-            if (!response.ok) {
-                throw new Error('API response was not ok');
+    /**
+     * Headers authenticating the synced learner to the evaluation API, which rate-limits per learner. The sync token
+     * is only sent when the evaluation API is on the same server as the sync API, the one that can check it.
+     * @returns {Object<string, string>}
+     */
+    learnerHeaders() {
+        const credentials = this.getSyncCredentials();
+        const origin = (url) => new URL(url, globalThis.location?.href).origin;
+        if (!credentials || origin(credentials.api) !== origin(this.answerEvaluationApi)) return {};
+        return { 'X-Learner-Id': credentials.learnerId, Authorization: `Bearer ${credentials.token}` };
+    }
+
+    /**
+     * Re-submits provisionally graded answers (all scopes) to the evaluation API, oldest first, and
+     * replaces their stored grade with the AI's. An answer the API rejects for good (HTTP 4xx other than 429),
+     * or that failed `MAX_EVALUATION_ATTEMPTS` times, keeps its keyword grade as final and leaves the queue.
+     * Stops when the API is unreachable or rate-limits; the rest stay queued.
+     * @async
+     * @returns {Promise<Array<{ questionId: *, question: string, submittedAt: string, before: { isCorrect: boolean }, after: { isCorrect: boolean, grade: number } }>>}
+     *   The re-graded answers (answers deleted meanwhile, e.g. by a restart, are dropped from the queue and not listed).
+     */
+    async resubmitPendingEvaluations() {
+        const regraded = [];
+        for (const pending of await PendingEvaluation.getAll()) {
+            let result;
+            try {
+                result = await this.requestSubjectiveEvaluation(
+                    { id: pending.questionId, version: pending.version, question: pending.question },
+                    pending.answer
+                );
+            } catch (error) {
+                // Being rate-limited is not a failed attempt; the queue just waits for the next retry
+                if (error instanceof RateLimitError) break;
+                pending.attempts++;
+                if ((error instanceof EvaluationApiError && error.isPermanent) || pending.attempts >= MAX_EVALUATION_ATTEMPTS) {
+                    console.warn(`Keeping the provisional grade of question ${pending.questionId} after ${pending.attempts} attempt(s):`, error);
+                    await this.settlePendingEvaluation(pending, { provisional: false });
+                    continue;
+                }
+                await pending.save();
+                // The API answered, so only this answer failed; otherwise it is still unreachable
+                if (error instanceof EvaluationApiError) continue;
+                console.error('Evaluation API still unavailable:', error);
+                break;
             }
+            const change = await this.settlePendingEvaluation(pending, { ...result, provisional: false });
+            if (!change) continue;
+            regraded.push({
+                questionId: pending.questionId,
+                question: pending.question,
+                submittedAt: pending.submittedAt,
+                before: { isCorrect: change.previous.isCorrect },
+                after: { isCorrect: result.isCorrect, grade: result.grade }
+            });
+        }
+        return regraded;
+    }
 
-            const result = await response.json();
-            return { isCorrect: result.isCorrect, grade: result.grade, nextHint: result.nextHint, fullEvaluation: result.fullEvaluation };
-        } catch (error) {
-            console.error('Error evaluating subjective answer:', error);
-            // Fallback to local evaluation if API call fails
-            return this.localEvaluateSubjectiveAnswer(question, userAnswer);
+    /**
+     * Applies `changes` to a queued answer (stored and in memory) and removes it from the queue.
+     * @param {PendingEvaluation} pending
+     * @param {Object} changes
+     * @returns {Promise<{ previous: Object, updated: Object }|null>} See UserAnswer.update; null when the answer no longer exists
+     */
+    async settlePendingEvaluation(pending, changes) {
+        const change = await UserAnswer.update(pending.questionId, pending.submittedAt, changes);
+        await pending.delete();
+        if (!change) return null;
+        const inMemory = (this.userAnswers.get(pending.questionId) || []).find(a => a.submittedAt === pending.submittedAt);
+        if (inMemory) {
+            Object.assign(inMemory, UserAnswer.fromJSON(change.updated));
         }
+        return change;
     }
 
     /**
      * Locally evaluates a subjective answer based on keywords and length.
      * @param {Object} question - The question object.
      * @param {string} userAnswer - The user's answer.
-     * @returns {boolean} Whether the answer is considered correct.
+     * @returns {{ isCorrect: boolean, confidenceScore: number }} Whether the answer is considered correct.
      */
     localEvaluateSubjectiveAnswer(question, userAnswer) {
         const keywords = question.keywords || [];
@@ -284,7 +665,7 @@ export class Quiz {
         const maxLength = question.maxLength || Infinity;
 
         if (userAnswer.length > maxLength) {
-            return false;
+            return { isCorrect: false, confidenceScore: 0 };
         }
 
         const matchedKeywords = keywords.filter(keyword => 
@@ -334,22 +715,198 @@ export class Quiz {
     }
 
     /**
-     * Increments the hint count and updates local storage.
-     * @returns {number} The new hint count.
+     * Starts timing the current question (call whenever it is shown). Keeps the original start
+     * if the same question is shown again, e.g. after a re-render or page reload during an exam.
+     * @param {number} [now=Date.now()]
+     */
+    markQuestionStarted(now = Date.now()) {
+        const question = this.getCurrentQuestion();
+        if (!question) return;
+        if (this.questionTimer?.questionId === question.id) return;
+        this.questionTimer = { questionId: question.id, startedAt: now, attemptStartedAt: now };
+        this.saveExamState();
+    }
+
+    /**
+     * Returns the milliseconds spent on this attempt and restarts the attempt clock.
+     * @param {number} questionId
+     * @param {number} [now=Date.now()]
+     * @returns {number|undefined} undefined when the question was never marked as started
+     */
+    takeAttemptTime(questionId, now = Date.now()) {
+        if (this.questionTimer?.questionId !== questionId) return undefined;
+        const spent = now - this.questionTimer.attemptStartedAt;
+        this.questionTimer.attemptStartedAt = now;
+        this.saveExamState();
+        return spent;
+    }
+
+    /**
+     * Starts a timed exam over the remaining questions. The state is persisted so the countdown survives a reload.
+     * @param {Object} options
+     * @param {number} options.timeLimitMs - Overall time limit.
+     * @param {number} [now=Date.now()]
+     */
+    startExam({ timeLimitMs }, now = Date.now()) {
+        this.examState = { startedAt: now, timeLimitMs };
+        this.questionTimer = null;
+        this.markQuestionStarted(now);
+        this.saveExamState();
+    }
+
+    /**
+     * Ends the running exam (time ran out or the learner finished); keeps the state for the completion screen.
+     * The end is persisted, so a reload shows the completed quiz instead of reopening it (see init).
+     * @param {number} [now=Date.now()]
+     */
+    endExam(now = Date.now()) {
+        if (this.examState && !this.examState.finishedAt) {
+            this.examState.finishedAt = now;
+            this.saveExamState();
+        }
+    }
+
+    /** @returns {boolean} Whether a timed exam is running. */
+    isExamActive() {
+        return Boolean(this.examState && !this.examState.finishedAt);
+    }
+
+    /**
+     * Milliseconds left in the exam (0 when time is up), or null when no exam is running.
+     * @param {number} [now=Date.now()]
+     * @returns {number|null}
+     */
+    getExamRemainingMs(now = Date.now()) {
+        if (!this.isExamActive()) return null;
+        return Math.max(0, this.examState.startedAt + this.examState.timeLimitMs - now);
+    }
+
+    /**
+     * Milliseconds left for the current question's `timeLimit` during an exam, or null when it has none.
+     * @param {number} [now=Date.now()]
+     * @returns {number|null}
+     */
+    getQuestionRemainingMs(now = Date.now()) {
+        const question = this.getCurrentQuestion();
+        if (!this.isExamActive() || !question?.timeLimit || this.questionTimer?.questionId !== question.id) return null;
+        return Math.max(0, this.questionTimer.startedAt + question.timeLimit * 1000 - now);
+    }
+
+    /**
+     * Time used by the exam (running or finished), or null if no exam was started.
+     * @param {number} [now=Date.now()]
+     * @returns {{ usedMs: number, timeLimitMs: number }|null}
+     */
+    getExamTimeUsed(now = Date.now()) {
+        if (!this.examState) return null;
+        const end = this.examState.finishedAt || now;
+        return {
+            usedMs: Math.min(end - this.examState.startedAt, this.examState.timeLimitMs),
+            timeLimitMs: this.examState.timeLimitMs,
+        };
+    }
+
+    /** Persists exam state (including the question timer) while an exam exists. */
+    saveExamState() {
+        if (!this.examState) return;
+        this.examState.questionTimer = this.questionTimer;
+        localStorage.setItem(this.getStorageKey(EXAM_STATE_KEY), JSON.stringify(this.examState));
+    }
+
+    /**
+     * Starts a new attempt with a fresh seed: re-draws `questions` from the pool and persists the settings,
+     * so a reload serves the same questions in the same order. Without any option, questions and options
+     * keep their authored order.
+     * @param {Object} [options]
+     * @param {boolean} [options.shuffleQuestions=false] - Serve questions in a random order.
+     * @param {boolean} [options.shuffleOptions=false] - Show answer options (and ordering/matching items) in a random order.
+     * @param {number} [options.drawCount] - Serve only this many questions drawn at random from the pool.
+     * @param {number} [seed] - Defaults to a random seed.
+     */
+    startAttempt({ shuffleQuestions = false, shuffleOptions = false, drawCount } = {}, seed = Math.floor(Math.random() * 2 ** 32)) {
+        const isDraw = Number.isInteger(drawCount) && drawCount > 0;
+        this.attempt = shuffleQuestions || shuffleOptions || isDraw
+            ? { seed, shuffleQuestions, shuffleOptions, ...(isDraw ? { drawCount } : {}) }
+            : null;
+        if (this.attempt) {
+            localStorage.setItem(this.getStorageKey(ATTEMPT_KEY), JSON.stringify(this.attempt));
+        } else {
+            localStorage.removeItem(this.getStorageKey(ATTEMPT_KEY));
+        }
+        this.questions = this.drawAttemptQuestions();
+        this.currentQuestionIndex = 0;
+    }
+
+    /**
+     * The current attempt's questions: the pool, shuffled and/or drawn with the attempt seed.
+     * @returns {Array}
+     */
+    drawAttemptQuestions() {
+        if (!this.attempt) return [...this.questionPool];
+        return drawFromPool(this.questionPool, `questions:${this.attempt.seed}`, {
+            shuffle: this.attempt.shuffleQuestions,
+            count: this.attempt.drawCount,
+        });
+    }
+
+    /**
+     * Seed for shuffling answer options on question cards, or null to keep the authored order.
+     * Display order only: answers are stored and graded by option text.
+     * @returns {number|null}
+     */
+    getOptionShuffleSeed() {
+        return this.attempt?.shuffleOptions ? this.attempt.seed : null;
+    }
+
+    /**
+     * Reveals a question's next hint (hints unlock one at a time, in order) and persists it in IndexedDB.
+     * @async
+     * @param {number} questionId
+     * @returns {Promise<number[]>} The question's revealed hint indices.
+     */
+    async revealNextHint(questionId) {
+        const question = this.questions.find(q => q.id === questionId);
+        const revealed = this.getRevealedHints(questionId);
+        const hintIndex = (question?.hints || []).findIndex((_, i) => !revealed.includes(i));
+        if (hintIndex === -1) return revealed;
+        if (!this.hintUsage.has(questionId)) {
+            this.hintUsage.set(questionId, new HintUsage({ questionId, scope: this.hintScope }));
+        }
+        const usage = this.hintUsage.get(questionId);
+        if (usage.reveal(hintIndex)) {
+            try {
+                await usage.save();
+            } catch (error) {
+                console.error('Error saving hint usage:', error);
+            }
+        }
+        return usage.revealed;
+    }
+
+    /**
+     * Gets the revealed hint indices of a question (to re-show them after a re-render).
+     * @param {number} questionId
+     * @returns {number[]}
+     */
+    getRevealedHints(questionId) {
+        return this.hintUsage.get(questionId)?.revealed || [];
+    }
+
+    /**
+     * Gets how many hints of a question have been revealed.
+     * @param {number} questionId
+     * @returns {number}
      */
-    incrementHintCount() {
-        this.hintCount++;
-        localStorage.setItem('hintCount', this.hintCount);
-        //TODO: Increment hint count for the current question
-        return this.hintCount;
+    getHintsUsed(questionId) {
+        return this.getRevealedHints(questionId).length;
     }
 
     /**
-     * Gets the current hint count.
+     * Gets the number of hints revealed across this quiz's questions.
      * @returns {number} The current hint count.
      */
     getHintCount() {
-        return this.hintCount;
+        return this.questions.reduce((sum, question) => sum + this.getHintsUsed(question.id), 0);
     }
 
     /**
@@ -382,7 +939,8 @@ export class Quiz {
      * @returns {boolean} Whether the quiz is completed.
      */
     checkQuizCompletion() {
-        return this.currentQuestionIndex >= this.questions.length - 1 && 
+        return this.questions.length > 0 &&
+               this.currentQuestionIndex >= this.questions.length - 1 && 
                this.userAnswers.has(this.questions[this.questions.length - 1].id);
     }
 
@@ -420,8 +978,7 @@ export class Quiz {
             if (latestUserAnswer) {
                 // Calculate score based on grade and hints used
                 const grade = typeof latestUserAnswer.grade === 'number' ? latestUserAnswer.grade : (latestUserAnswer.isCorrect ? 10 : 0);
-                // const hintPenalty = 0.1 * (latestUserAnswer.hintsUsed || 0); // 10% penalty per hint
-                const questionScore = Math.max(0, (grade / 10));
+                const questionScore = Math.max(0, (grade / 10) - getHintPenalty(question, latestUserAnswer.hintsUsed));
                 totalScore += questionScore;
                 if (latestUserAnswer.isCorrect) {
                     correctAnswers++;
@@ -429,8 +986,7 @@ export class Quiz {
             }
             maxPossibleScore += 1; // Each question is worth 1 point max
         });
-        const hintPenalty = Math.min(correctAnswers*0.2, 0.1 * (this.hintCount || 0));
-        const overallScore = maxPossibleScore > 0 ? Math.round(((totalScore - hintPenalty) / maxPossibleScore) * 100) : 0;
+        const overallScore = maxPossibleScore > 0 ? Math.round((totalScore / maxPossibleScore) * 100) : 0;
 
         return {
             currentQuestionIndex: this.currentQuestionIndex,
@@ -440,7 +996,7 @@ export class Quiz {
             totalScore: totalScore,
             maxPossibleScore: maxPossibleScore,
             overallScore: overallScore,
-            hintCount: this.hintCount
+            hintCount: this.getHintCount()
         };
     }
 
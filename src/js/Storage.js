@@ -1,24 +1,30 @@
+import { LATEST_VERSION, runMigrations } from './migrations.js';
+import { DEFAULT_PROFILE_ID, getActiveProfile, getProfileDbName } from './profiles.js';
+
 /**
  * Manages the storage and retrieval of quiz questions and user answers using IndexedDB.
+ * Stores, indexes and record shapes are versioned in ./migrations.js.
+ * Each learner profile has its own database (see ./profiles.js); the active one is opened.
  * @class
  */
 class Storage {
-    static storesConfig = [{ name: 'questions', mandatoryIdKey: 'id' }, { name: 'userAnswers', mandatoryIdKey: 'questionId' }];
     /**
      * Creates an instance of Storage.
      */
     constructor() {
-        this.dbName = 'QuizDB';
-        this.dbVersion = 1;
+        /** @type {string} Set to the active profile's database by init */
+        this.dbName = getProfileDbName(DEFAULT_PROFILE_ID);
+        this.dbVersion = LATEST_VERSION;
         this.db = null;
     }
 
     /**
-     * Initializes the IndexedDB database and creates object stores if needed.
+     * Initializes the IndexedDB database, running pending schema migrations in the upgrade transaction.
      * @returns {Promise<void>} A promise that resolves when the database is initialized.
-     * @throws {Error} If there's an error opening the database.
+     * @throws {Error} If there's an error opening the database, or a migration failed (the upgrade is rolled back).
      */
     async init() {
+        this.dbName = getProfileDbName(getActiveProfile().id);
         return new Promise((resolve, reject) => {
             const indexedDB =
                 window.indexedDB ||
@@ -27,18 +33,30 @@ class Storage {
                 window.msIndexedDB ||
                 window.shimIndexedDB;
             const request = indexedDB.open(this.dbName, this.dbVersion);
-            request.onerror = () => reject('IndexedDB open error');
+            let migrationError = null;
+            request.onerror = () => reject(migrationError || 'IndexedDB open error');
             request.onsuccess = () => {
                 this.db = request.result;
+                // Let another tab upgrade, or a profile deletion remove, this database; the next call reopens it
+                this.db.onversionchange = () => {
+                    request.result.close();
+                    this.db = null;
+                };
                 resolve();
             };
             request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                Storage.storesConfig.forEach(storeConfig => {
-                    if (!db.objectStoreNames.contains(storeConfig.name)) {
-                        db.createObjectStore(storeConfig.name, { keyPath: storeConfig.mandatoryIdKey });
-                    }
-                });
+                const transaction = request.transaction;
+                runMigrations(request.result, transaction, event.oldVersion)
+                    .then(applied => console.log(`IndexedDB ${this.dbName} upgraded to version ${this.dbVersion} (migrations ${applied.join(', ')})`))
+                    .catch(error => {
+                        migrationError = error;
+                        console.error(error);
+                        try {
+                            transaction.abort();
+                        } catch {
+                            // Already finished; onerror still reports the failure
+                        }
+                    });
             };
         });
     }
@@ -74,6 +92,10 @@ class Storage {
         return this.performTransaction(storeName, 'readonly', store => store.getAll());
     }
 
+    async getAllByIndex(storeName, indexName, value) {
+        return this.performTransaction(storeName, 'readonly', store => store.index(indexName).getAll(value));
+    }
+
     async getById(storeName, id) {
         return this.performTransaction(storeName, 'readonly', store => store.get(id));
     }
@@ -85,6 +107,28 @@ class Storage {
     async clearStore(storeName) {
         return this.performTransaction(storeName, 'readwrite', store => store.clear());
     }
+
+    /**
+     * Replaces the contents of several stores in a single transaction: if any write fails (e.g. the quota
+     * is exceeded, or the tab closes), the transaction is rolled back and every store keeps its old records.
+     * @param {Object<string, Object[]>} recordsByStore - The new records of each store
+     * @returns {Promise<void>} Resolves once the transaction has committed.
+     */
+    async replaceStores(recordsByStore) {
+        const db = await this.getDB();
+        const storeNames = Object.keys(recordsByStore);
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, 'readwrite');
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error || `Error replacing ${storeNames.join(', ')}`);
+            transaction.onabort = () => reject(transaction.error || `Replacing ${storeNames.join(', ')} was aborted`);
+            for (const storeName of storeNames) {
+                const store = transaction.objectStore(storeName);
+                store.clear();
+                recordsByStore[storeName].forEach(record => store.put(record));
+            }
+        });
+    }
 }
 
 export default new Storage();
@@ -1,7 +1,10 @@
 import Storage from './Storage.js';
+import { MAIN_SCOPE } from '../../server/lib/answerHistory.js';
 
 export class UserAnswer {
     static storeName = 'userAnswers';
+    /** Progress scope of the main quiz; answers saved without a scope belong to it. */
+    static mainScope = MAIN_SCOPE;
 
     constructor({
         questionId,
@@ -11,7 +14,17 @@ export class UserAnswer {
         nextHint = undefined,
         fullEvaluation = undefined,
         confidenceScore = undefined,
-        submittedAt = new Date().toISOString()
+        criteria = undefined,
+        coveredConcepts = undefined,
+        missingConcepts = undefined,
+        incorrectBlanks = undefined,
+        incorrectPairs = undefined,
+        timeSpentMs = undefined,
+        hintsUsed = undefined,
+        scope = undefined,
+        provisional = undefined,
+        submittedAt = new Date().toISOString(),
+        updatedAt = undefined
     }) {
         this.questionId = questionId;
         this.answer = answer;
@@ -20,7 +33,27 @@ export class UserAnswer {
         this.nextHint = nextHint;
         this.fullEvaluation = fullEvaluation;
         this.confidenceScore = confidenceScore;
+        /** @type {Array<{ criterion: string, met: boolean, note: string }>|undefined} Subjective only: the AI grader's per-criterion notes */
+        this.criteria = criteria;
+        /** @type {string[]|undefined} Subjective only: rubric keywords the AI grader found in the answer */
+        this.coveredConcepts = coveredConcepts;
+        /** @type {string[]|undefined} Subjective only: rubric keywords the answer missed */
+        this.missingConcepts = missingConcepts;
+        /** @type {number[]|undefined} Cloze only: indices of blanks that were wrong */
+        this.incorrectBlanks = incorrectBlanks;
+        /** @type {number[]|undefined} Matching only: indices of pairs that were wrong */
+        this.incorrectPairs = incorrectPairs;
+        /** @type {number|undefined} Milliseconds from showing the question (or the previous attempt) to this submission */
+        this.timeSpentMs = timeSpentMs;
+        /** @type {number|undefined} Hints of this question revealed before this submission */
+        this.hintsUsed = hintsUsed;
+        /** @type {string|undefined} Progress scope, e.g. `label:sql` for /label/sql runs; undefined means the main quiz */
+        this.scope = scope;
+        /** @type {boolean|undefined} Subjective only: graded by the local keyword check while the evaluation API was unreachable; queued for AI re-grading */
+        this.provisional = provisional;
         this.submittedAt = submittedAt;
+        /** @type {string|undefined} When the grade was last changed after submission (re-graded); newer copies win when syncing */
+        this.updatedAt = updatedAt;
     }
 
     toJSON() {
@@ -32,7 +65,17 @@ export class UserAnswer {
             nextHint: this.nextHint,
             fullEvaluation: this.fullEvaluation,
             confidenceScore: this.confidenceScore,
-            submittedAt: this.submittedAt
+            criteria: this.criteria,
+            coveredConcepts: this.coveredConcepts,
+            missingConcepts: this.missingConcepts,
+            incorrectBlanks: this.incorrectBlanks,
+            incorrectPairs: this.incorrectPairs,
+            timeSpentMs: this.timeSpentMs,
+            hintsUsed: this.hintsUsed,
+            scope: this.scope,
+            provisional: this.provisional,
+            submittedAt: this.submittedAt,
+            updatedAt: this.updatedAt
         };
     }
 
@@ -45,7 +88,17 @@ export class UserAnswer {
             nextHint: json.nextHint,
             fullEvaluation: json.fullEvaluation,
             confidenceScore: json.confidenceScore,
-            submittedAt: json.submittedAt
+            criteria: json.criteria,
+            coveredConcepts: json.coveredConcepts,
+            missingConcepts: json.missingConcepts,
+            incorrectBlanks: json.incorrectBlanks,
+            incorrectPairs: json.incorrectPairs,
+            timeSpentMs: json.timeSpentMs,
+            hintsUsed: json.hintsUsed,
+            scope: json.scope,
+            provisional: json.provisional,
+            submittedAt: json.submittedAt,
+            updatedAt: json.updatedAt
         });
     }
 
@@ -80,8 +133,26 @@ export class UserAnswer {
         return Storage.save(UserAnswer.storeName, existingAnswers);
     }
 
+    /**
+     * Changes a saved answer in place (e.g. replaces a provisional grade) and stamps `updatedAt`.
+     * @param {*} questionId
+     * @param {string} submittedAt - Identifies the answer
+     * @param {Object} changes - Fields to overwrite
+     * @returns {Promise<{ previous: Object, updated: Object }|null>} The answer before and after, or null if it no longer exists (e.g. the quiz was restarted)
+     */
+    static async update(questionId, submittedAt, changes) {
+        const record = await Storage.getById(UserAnswer.storeName, questionId);
+        const index = record ? record.answers.findIndex(a => a.submittedAt === submittedAt) : -1;
+        if (index === -1) return null;
+        const previous = record.answers[index];
+        record.answers[index] = { ...previous, ...changes, updatedAt: new Date().toISOString() };
+        await Storage.save(UserAnswer.storeName, record);
+        return { previous, updated: record.answers[index] };
+    }
+
     /**
      * Get all user answers
+     * @param {string} [scope] - Only answers in this progress scope ('main' also matches answers saved without a scope)
      * @returns {Promise<Array>} - The user answers
      * @example
      * const userAnswers = await UserAnswer.getAll();
@@ -107,9 +178,21 @@ export class UserAnswer {
      * //     ...
      * // ]
      */
-    static async getAll() {
+    static async getAll(scope) {
         const userAnswers = await Storage.getAll(UserAnswer.storeName);
-        return userAnswers.flatMap(ua => ua.answers.map(a => UserAnswer.fromJSON(a)));
+        return userAnswers
+            .flatMap(ua => ua.answers.map(a => UserAnswer.fromJSON(a)))
+            .filter(a => scope === undefined || UserAnswer.isInScope(a, scope));
+    }
+
+    /**
+     * Whether an answer belongs to a progress scope; answers saved without a scope belong to 'main'.
+     * @param {{ scope?: string }} answer
+     * @param {string} scope
+     * @returns {boolean}
+     */
+    static isInScope(answer, scope) {
+        return (answer.scope || UserAnswer.mainScope) === scope;
     }
 
     // static async getAllAnswersByQuestionId(questionId) {
@@ -117,7 +200,24 @@ export class UserAnswer {
     //     return userAnswer ? userAnswer.answers.map(a => UserAnswer.fromJSON(a)) : [];
     // }
 
-    static async clearAll() {
-        return Storage.clearStore(UserAnswer.storeName);
+    /**
+     * Delete user answers
+     * @param {string} [scope] - Only delete answers in this progress scope; all answers when omitted
+     * @returns {Promise<void>}
+     */
+    static async clearAll(scope) {
+        if (scope === undefined) {
+            return Storage.clearStore(UserAnswer.storeName);
+        }
+        const records = await Storage.getAll(UserAnswer.storeName);
+        for (const record of records) {
+            const kept = record.answers.filter(a => !UserAnswer.isInScope(a, scope));
+            if (kept.length === record.answers.length) continue;
+            if (kept.length === 0) {
+                await Storage.deleteById(UserAnswer.storeName, record.questionId);
+            } else {
+                await Storage.save(UserAnswer.storeName, { ...record, answers: kept });
+            }
+        }
     }
 }
\ No newline at end of file
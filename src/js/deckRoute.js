@@ -0,0 +1,51 @@
+/**
+ * /deck/:slug routes: a quiz over a curated deck (content/decks, compiled to decks.json).
+ */
+
+/**
+ * Returns the deck slug for /deck/:slug routes, or null if the path is not that route.
+ * @param {string} pathname - e.g. window.location.pathname
+ * @returns {string|null}
+ */
+export function parseDeckSlugFromPathname(pathname) {
+    const m = pathname.match(/\/deck\/([^/]+)\/?$/);
+    if (!m) return null;
+    try {
+        return decodeURIComponent(m[1]);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * The deck's questions in deck order; slugs missing from `questions` (e.g. a stale cache) are skipped.
+ * @param {Array<{ slug: string }>} questions
+ * @param {{ questions: string[] }} deck
+ * @returns {Array}
+ */
+export function selectDeckQuestions(questions, deck) {
+    const bySlug = new Map(questions.map((question) => [question.slug, question]));
+    return deck.questions.map((slug) => bySlug.get(slug)).filter(Boolean);
+}
+
+/**
+ * Progress scope for a deck quiz; answers are tagged with it so each deck keeps its own progress.
+ * @param {string} slug
+ * @returns {string} e.g. `deck:sql-interview-warm-up`
+ */
+export function getDeckScope(slug) {
+    return `deck:${slug}`;
+}
+
+/**
+ * Fetches a deck from decks.json (anchored to Vite `base`, like questions.json).
+ * @param {string} slug
+ * @returns {Promise<{ slug: string, title: string, description: string, questions: string[] }|null>} null when there is no such deck
+ */
+export async function loadDeck(slug) {
+    const url = new URL('decks.json', new URL(import.meta.env.BASE_URL, window.location.origin)).href;
+    const response = await fetch(url);
+    if (!response.ok) throw new Error('Network response was not ok');
+    const decks = await response.json();
+    return decks.find((deck) => deck.slug === slug) || null;
+}
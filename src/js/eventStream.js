@@ -0,0 +1,51 @@
+/**
+ * Reads a Server-Sent Events response body (the streaming /evaluate/stream and /ask/stream routes),
+ * whose events all carry JSON data.
+ */
+
+/**
+ * Splits complete events off the front of `buffer`.
+ * @param {string} buffer - Received text not yet parsed
+ * @returns {{ events: Array<{ event: string, data: * }>, rest: string }} `rest` is an incomplete trailing event
+ */
+export function parseEventStream(buffer) {
+    const blocks = buffer.replace(/\r\n/g, '\n').split('\n\n');
+    const rest = blocks.pop();
+    const events = [];
+    for (const block of blocks) {
+        let event = 'message';
+        const data = [];
+        for (const line of block.split('\n')) {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+        }
+        if (data.length > 0) events.push({ event, data: JSON.parse(data.join('\n')) });
+    }
+    return { events, rest };
+}
+
+/**
+ * Calls `onEvent` for each event of a streamed response body, in order, until the stream ends.
+ * If `onEvent` throws, the stream is cancelled and the error is rethrown.
+ * @param {ReadableStream<Uint8Array>} body
+ * @param {(event: string, data: *) => void} onEvent
+ * @returns {Promise<void>}
+ */
+export async function readEventStream(body, onEvent) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    try {
+        for (;;) {
+            const { done, value } = await reader.read();
+            buffer += done ? decoder.decode() + '\n\n' : decoder.decode(value, { stream: true });
+            const { events, rest } = parseEventStream(buffer);
+            buffer = rest;
+            events.forEach(({ event, data }) => onEvent(event, data));
+            if (done) return;
+        }
+    } catch (error) {
+        reader.cancel().catch(() => {});
+        throw error;
+    }
+}
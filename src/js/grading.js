@@ -0,0 +1,208 @@
+/**
+ * Pure grading helpers for non-AI question types. No browser or storage dependencies,
+ * so `Quiz.checkAnswer` and the Node tests share the same rules.
+ */
+
+/** Score cost (fraction of a question) of each hint when the question sets no `hintCosts`. */
+export const DEFAULT_HINT_COST = 0.1;
+
+/**
+ * Score deducted for hints: the sum of the costs of the first `hintsUsed` hints (hints unlock in order), at most 1.
+ * @param {{ hintCosts?: number[] }} question
+ * @param {number} [hintsUsed]
+ * @returns {number} Fraction of the question's score, 0–1
+ */
+export function getHintPenalty(question, hintsUsed = 0) {
+    let penalty = 0;
+    for (let i = 0; i < hintsUsed; i++) {
+        penalty += question.hintCosts?.[i] ?? DEFAULT_HINT_COST;
+    }
+    return Math.min(1, penalty);
+}
+
+/** Normalizes option text for comparison: strips inline Markdown emphasis/code, trims, lowercases. */
+export function normalizeOptionText(s) {
+    return String(s || '')
+        .replace(/\*\*([^*]+)\*\*/g, '$1')
+        .replace(/\*([^*]+)\*/g, '$1')
+        .replace(/`([^`]+)`/g, '$1')
+        .trim()
+        .toLowerCase();
+}
+
+/**
+ * Grades a "select all that apply" answer.
+ * `all-or-nothing` gives 10 only for the exact set; `partial` gives credit per correct pick,
+ * minus one per wrong pick, scaled to 0–10.
+ * @param {{ expectedAnswer: string[], scoring?: 'all-or-nothing'|'partial' }} question
+ * @param {string[]} selected - Option texts the learner ticked
+ * @returns {{ isCorrect: boolean, grade: number, confidenceScore: number }}
+ */
+export function gradeMultiSelect(question, selected) {
+    const expected = new Set((question.expectedAnswer || []).map(normalizeOptionText));
+    const picked = new Set((Array.isArray(selected) ? selected : []).map(normalizeOptionText));
+
+    let hits = 0;
+    let misses = 0;
+    picked.forEach(option => {
+        if (expected.has(option)) hits++;
+        else misses++;
+    });
+
+    const isCorrect = expected.size > 0 && hits === expected.size && misses === 0;
+    let grade;
+    if (question.scoring === 'partial') {
+        grade = expected.size > 0 ? Math.round(Math.max(0, (hits - misses) / expected.size) * 10) : 0;
+    } else {
+        grade = isCorrect ? 10 : 0;
+    }
+    return { isCorrect, grade, confidenceScore: 1 };
+}
+
+/**
+ * Reads a number from free text such as "1.96", "≈2", "~ 1,000", "1.5e3" or "120 ms".
+ * Accepted `units` (case-insensitive) may follow the number; any other trailing text makes it unreadable.
+ * @param {string} text
+ * @param {string[]} [units]
+ * @returns {number} The value, or NaN when the text is not a number
+ */
+export function parseNumericAnswer(text, units = []) {
+    let s = String(text ?? '')
+        .trim()
+        .replace(/^(≈|~|approx\.?|approximately|about|around)\s*/i, '')
+        .replace(/[−–]/g, '-');
+    const unit = [...units]
+        .sort((a, b) => b.length - a.length)
+        .find(u => s.toLowerCase().endsWith(u.toLowerCase()));
+    if (unit) {
+        s = s.slice(0, s.length - unit.length).trim();
+    }
+    if (/^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(s)) {
+        s = s.replace(/,/g, '');
+    }
+    if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(s)) {
+        return NaN;
+    }
+    return Number(s);
+}
+
+/**
+ * Grades a numeric answer against `expectedValue` within the absolute `tolerance`
+ * or `relativeTolerance` (fraction of the expected value). Without either, the value must match exactly.
+ * @param {{ expectedValue: number, tolerance?: number, relativeTolerance?: number, units?: string[] }} question
+ * @param {string} text - The learner's answer
+ * @returns {{ isCorrect: boolean, grade: number, confidenceScore: number, nextHint?: string }}
+ */
+export function gradeNumeric(question, text) {
+    const value = parseNumericAnswer(text, question.units);
+    if (Number.isNaN(value)) {
+        const unitHint = question.units?.length ? ` (optionally followed by ${question.units[0]})` : '';
+        return { isCorrect: false, grade: 0, confidenceScore: 1, nextHint: `Enter a number${unitHint}, e.g. 1.96.` };
+    }
+    const allowed = typeof question.tolerance === 'number'
+        ? question.tolerance
+        : Math.abs(question.expectedValue) * (question.relativeTolerance || 0);
+    // Small epsilon so that e.g. 0.1 + 0.2 style float noise never rejects a boundary answer
+    const isCorrect = Math.abs(value - question.expectedValue) <= allowed + 1e-9;
+    return { isCorrect, grade: isCorrect ? 10 : 0, confidenceScore: 1 };
+}
+
+/**
+ * Grades an ordering answer. The exact order gets full marks; otherwise the grade is the share
+ * of item pairs whose relative order is right (Kendall-style), scaled to 0–10.
+ * @param {{ expectedAnswer: string[] }} question - Items in the correct order
+ * @param {string[]} ordered - Items in the learner's order
+ * @returns {{ isCorrect: boolean, grade: number, confidenceScore: number }}
+ */
+export function gradeOrdering(question, ordered) {
+    const expected = question.expectedAnswer || [];
+    const position = new Map(expected.map((item, i) => [item, i]));
+    const answer = Array.isArray(ordered) ? ordered : [];
+    const isComplete =
+        answer.length === expected.length &&
+        new Set(answer).size === answer.length &&
+        answer.every(item => position.has(item));
+    if (!isComplete || expected.length < 2) {
+        const isCorrect = isComplete;
+        return { isCorrect, grade: isCorrect ? 10 : 0, confidenceScore: 1 };
+    }
+
+    let concordant = 0;
+    let pairs = 0;
+    for (let i = 0; i < answer.length; i++) {
+        for (let j = i + 1; j < answer.length; j++) {
+            pairs++;
+            if (position.get(answer[i]) < position.get(answer[j])) concordant++;
+        }
+    }
+    const isCorrect = concordant === pairs;
+    return { isCorrect, grade: Math.round((concordant / pairs) * 10), confidenceScore: 1 };
+}
+
+/** Normalizes a blank's text: trims, collapses whitespace, lowercases. */
+function normalizeBlankText(s) {
+    return String(s ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * True when `answer` matches one accepted alternative: `/pattern/flags` must match the whole answer,
+ * anything else is a case- and whitespace-insensitive string comparison.
+ * @param {string[]} accept
+ * @param {string} answer
+ */
+export function matchesBlank(accept, answer) {
+    const trimmed = String(answer ?? '').trim();
+    return accept.some(alternative => {
+        const re = alternative.match(/^\/(.+)\/([a-z]*)$/);
+        if (re) {
+            try {
+                return new RegExp(`^(?:${re[1]})$`, re[2]).test(trimmed);
+            } catch {
+                return false;
+            }
+        }
+        return normalizeBlankText(alternative) === normalizeBlankText(trimmed);
+    });
+}
+
+/**
+ * Grades a fill-in-the-blank answer blank by blank.
+ * @param {{ blanks: Array<{ accept: string[] }> }} question
+ * @param {string[]} answers - One entry per blank, in prompt order
+ * @returns {{ isCorrect: boolean, grade: number, confidenceScore: number, incorrectBlanks: number[] }}
+ */
+export function gradeCloze(question, answers) {
+    const blanks = question.blanks || [];
+    const given = Array.isArray(answers) ? answers : [];
+    const incorrectBlanks = blanks
+        .map((blank, i) => (matchesBlank(blank.accept, given[i]) ? -1 : i))
+        .filter(i => i !== -1);
+    const correct = blanks.length - incorrectBlanks.length;
+    return {
+        isCorrect: blanks.length > 0 && incorrectBlanks.length === 0,
+        grade: blanks.length > 0 ? Math.round((correct / blanks.length) * 10) : 0,
+        confidenceScore: 1,
+        incorrectBlanks,
+    };
+}
+
+/**
+ * Grades a matching answer pair by pair; the grade is the share of correct pairs, scaled to 0–10.
+ * @param {{ pairs: Array<{ left: string, right: string }> }} question
+ * @param {string[]} chosen - The right-column item picked for each left item, in `pairs` order
+ * @returns {{ isCorrect: boolean, grade: number, confidenceScore: number, incorrectPairs: number[] }}
+ */
+export function gradeMatching(question, chosen) {
+    const pairs = question.pairs || [];
+    const given = Array.isArray(chosen) ? chosen : [];
+    const incorrectPairs = pairs
+        .map((pair, i) => (normalizeOptionText(given[i]) === normalizeOptionText(pair.right) ? -1 : i))
+        .filter(i => i !== -1);
+    const correct = pairs.length - incorrectPairs.length;
+    return {
+        isCorrect: pairs.length > 0 && incorrectPairs.length === 0,
+        grade: pairs.length > 0 ? Math.round((correct / pairs.length) * 10) : 0,
+        confidenceScore: 1,
+        incorrectPairs,
+    };
+}
@@ -0,0 +1,49 @@
+/**
+ * /label/:labels routes: a quiz restricted to questions carrying the given labels.
+ * `/label/sql` — one label; `/label/sql,joins` — any of the labels; `/label/sql+joins` — all of them.
+ */
+
+/**
+ * Returns the labels and match mode for /label/:labels routes, or null if the path is not that route.
+ * @param {string} pathname - e.g. window.location.pathname
+ * @returns {{ labels: string[], match: 'any'|'all' }|null}
+ */
+export function parseLabelRouteFromPathname(pathname) {
+    const m = pathname.match(/\/label\/([^/]+)\/?$/);
+    if (!m) return null;
+    let segment;
+    try {
+        segment = decodeURIComponent(m[1]);
+    } catch {
+        return null;
+    }
+    const match = segment.includes('+') ? 'all' : 'any';
+    const labels = [...new Set(segment.split(/[+,]/).map((l) => l.trim().toLowerCase()).filter(Boolean))];
+    if (labels.length === 0) return null;
+    return { labels, match };
+}
+
+/**
+ * Questions carrying any (or all) of `labels`, compared case-insensitively, in their original order.
+ * @param {Array<{ labels?: string[] }>} questions
+ * @param {string[]} labels
+ * @param {'any'|'all'} [match='any']
+ * @returns {Array}
+ */
+export function filterQuestionsByLabels(questions, labels, match = 'any') {
+    return questions.filter((question) => {
+        const own = new Set((question.labels || []).map((l) => String(l).toLowerCase()));
+        return match === 'all' ? labels.every((l) => own.has(l)) : labels.some((l) => own.has(l));
+    });
+}
+
+/**
+ * Progress scope for a label quiz. Answers are tagged with it so label runs and the main quiz
+ * keep separate progress; the same labels in a different order share a scope.
+ * @param {string[]} labels
+ * @param {'any'|'all'} [match='any']
+ * @returns {string} e.g. `label:joins,sql` or `label:joins+sql`
+ */
+export function getLabelScope(labels, match = 'any') {
+    return `label:${[...labels].sort().join(match === 'all' ? '+' : ',')}`;
+}
@@ -0,0 +1,142 @@
+/**
+ * IndexedDB schema migrations, applied by `Storage` when the database is opened.
+ *
+ * Each entry upgrades the database to `version`: it may create stores, create or delete indexes,
+ * and transform existing records (`migrate`). All pending migrations run in order inside the single
+ * upgrade (versionchange) transaction, so a failure aborts the upgrade and leaves the previous
+ * version and its data untouched.
+ *
+ * Never edit a released migration: learners' databases are already past it. Append a new version instead.
+ */
+
+/**
+ * @typedef {Object} StoreChange
+ * @property {string} name - Object store name (created when missing).
+ * @property {string} [keyPath] - Key path for a new store.
+ * @property {Array<{ name: string, keyPath: string|string[], unique?: boolean }>} [indexes] - Indexes to create when missing.
+ * @property {string[]} [deleteIndexes] - Indexes to delete when present.
+ */
+
+/**
+ * @typedef {Object} Migration
+ * @property {number} version - Database version this migration upgrades to (1, 2, 3, …).
+ * @property {string} description - What changes; shown in errors.
+ * @property {StoreChange[]} [stores] - Store and index changes, applied before `migrate`.
+ * @property {(transaction: IDBTransaction) => Promise<void>} [migrate] - Data transform, using only the upgrade transaction.
+ */
+
+/**
+ * Rewrites every record of a store inside `transaction`.
+ * `update` returns the new record, `undefined` to keep it as is, or `null` to delete it.
+ * @param {IDBTransaction} transaction
+ * @param {string} storeName
+ * @param {(record: Object) => Object|null|undefined} update
+ * @returns {Promise<number>} How many records were changed or deleted.
+ */
+export function updateRecords(transaction, storeName, update) {
+    return new Promise((resolve, reject) => {
+        let changed = 0;
+        const request = transaction.objectStore(storeName).openCursor();
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve(changed);
+                return;
+            }
+            const next = update(cursor.value);
+            if (next === null) {
+                cursor.delete();
+                changed++;
+            } else if (next !== undefined) {
+                cursor.update(next);
+                changed++;
+            }
+            cursor.continue();
+        };
+    });
+}
+
+/** @type {Migration[]} */
+export const migrations = [
+    {
+        version: 1,
+        description: 'questions and userAnswers stores',
+        stores: [
+            { name: 'questions', keyPath: 'id' },
+            { name: 'userAnswers', keyPath: 'questionId' },
+        ],
+    },
+    {
+        version: 2,
+        description: 'hintUsage store for per-question hint reveals',
+        stores: [{ name: 'hintUsage', keyPath: 'id' }],
+    },
+    {
+        version: 3,
+        description: 'tag answers saved before progress scopes with the main scope; index hintUsage by scope',
+        stores: [{ name: 'hintUsage', indexes: [{ name: 'scope', keyPath: 'scope' }] }],
+        migrate: (transaction) =>
+            updateRecords(transaction, 'userAnswers', (record) => {
+                if (record.answers.every((answer) => answer.scope)) return undefined;
+                return { ...record, answers: record.answers.map((answer) => ({ ...answer, scope: answer.scope || 'main' })) };
+            }),
+    },
+    {
+        version: 4,
+        description: 'pendingEvaluations store for subjective answers graded offline',
+        stores: [{ name: 'pendingEvaluations', keyPath: 'id' }],
+    },
+];
+
+/** Database version after all migrations. */
+export const LATEST_VERSION = migrations[migrations.length - 1].version;
+
+/**
+ * Applies one migration's store and index changes.
+ * @param {IDBDatabase} db
+ * @param {IDBTransaction} transaction
+ * @param {StoreChange[]} stores
+ */
+function applyStoreChanges(db, transaction, stores = []) {
+    for (const change of stores) {
+        const store = db.objectStoreNames.contains(change.name)
+            ? transaction.objectStore(change.name)
+            : db.createObjectStore(change.name, { keyPath: change.keyPath });
+        for (const name of change.deleteIndexes || []) {
+            if (store.indexNames.contains(name)) store.deleteIndex(name);
+        }
+        for (const index of change.indexes || []) {
+            if (!store.indexNames.contains(index.name)) {
+                store.createIndex(index.name, index.keyPath, { unique: Boolean(index.unique) });
+            }
+        }
+    }
+}
+
+/**
+ * Runs the migrations newer than `oldVersion`, in version order, inside the upgrade transaction.
+ * @param {IDBDatabase} db
+ * @param {IDBTransaction} transaction - The versionchange transaction from `onupgradeneeded`.
+ * @param {number} oldVersion - `event.oldVersion` (0 for a new database).
+ * @param {Migration[]} [registry=migrations]
+ * @returns {Promise<number[]>} The versions applied.
+ * @throws {Error} `Migration to version N (description) failed: …`, with the original error as `cause`.
+ */
+export async function runMigrations(db, transaction, oldVersion, registry = migrations) {
+    const pending = registry.filter((m) => m.version > oldVersion).sort((a, b) => a.version - b.version);
+    for (const migration of pending) {
+        try {
+            applyStoreChanges(db, transaction, migration.stores);
+            if (migration.migrate) {
+                await migration.migrate(transaction);
+            }
+        } catch (error) {
+            throw new Error(
+                `Migration to version ${migration.version} (${migration.description}) failed: ${error?.message || error}`,
+                { cause: error }
+            );
+        }
+    }
+    return pending.map((m) => m.version);
+}
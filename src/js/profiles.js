@@ -0,0 +1,160 @@
+/**
+ * Named local learner profiles, so several people can share one browser (e.g. workstations at meetups).
+ * Each profile has its own IndexedDB database (answers, hint usage, cached questions) and its own
+ * localStorage quiz state and settings. The default profile keeps `QuizDB` and the unprefixed keys,
+ * so progress saved before profiles existed stays with it.
+ */
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+/** Longest accepted profile name. */
+export const MAX_PROFILE_NAME_LENGTH = 40;
+
+/** localStorage key for the profile list (shared by all profiles). */
+const PROFILES_KEY = 'profiles';
+
+/** localStorage key for the id of the active profile (shared by all profiles). */
+const ACTIVE_PROFILE_KEY = 'activeProfile';
+
+const BASE_DB_NAME = 'QuizDB';
+
+const DEFAULT_PROFILE = { id: DEFAULT_PROFILE_ID, name: 'Default' };
+
+/**
+ * Every profile on this device, the default profile first.
+ * @returns {Array<{ id: string, name: string, createdAt?: string }>}
+ */
+export function getProfiles() {
+    let stored;
+    try {
+        stored = JSON.parse(localStorage.getItem(PROFILES_KEY) || '[]');
+    } catch {
+        stored = [];
+    }
+    const others = Array.isArray(stored)
+        ? stored.filter((p) => p && typeof p.id === 'string' && p.id !== DEFAULT_PROFILE_ID && typeof p.name === 'string')
+        : [];
+    return [DEFAULT_PROFILE, ...others];
+}
+
+/**
+ * The profile whose progress is in use; falls back to the default profile when the stored id is unknown (e.g. deleted in another tab).
+ * @returns {{ id: string, name: string, createdAt?: string }}
+ */
+export function getActiveProfile() {
+    const id = localStorage.getItem(ACTIVE_PROFILE_KEY);
+    return getProfiles().find((p) => p.id === id) || DEFAULT_PROFILE;
+}
+
+/**
+ * Makes a profile active. Storage and quizzes pick it up when they are next created, so reload the page afterwards.
+ * @param {string} id
+ * @throws {Error} When there is no such profile
+ */
+export function setActiveProfile(id) {
+    if (!getProfiles().some((p) => p.id === id)) {
+        throw new Error('This profile no longer exists.');
+    }
+    if (id === DEFAULT_PROFILE_ID) {
+        localStorage.removeItem(ACTIVE_PROFILE_KEY);
+    } else {
+        localStorage.setItem(ACTIVE_PROFILE_KEY, id);
+    }
+}
+
+/**
+ * Adds a profile (it is not made active).
+ * @param {string} name
+ * @returns {{ id: string, name: string, createdAt: string }}
+ * @throws {Error} When the name is empty, too long, or already used (case-insensitive)
+ */
+export function createProfile(name) {
+    const trimmed = String(name ?? '').trim();
+    if (!trimmed) {
+        throw new Error('Enter a profile name.');
+    }
+    if (trimmed.length > MAX_PROFILE_NAME_LENGTH) {
+        throw new Error(`Profile names can be at most ${MAX_PROFILE_NAME_LENGTH} characters.`);
+    }
+    const profiles = getProfiles();
+    if (profiles.some((p) => p.name.toLowerCase() === trimmed.toLowerCase())) {
+        throw new Error(`There is already a profile named "${trimmed}".`);
+    }
+    const profile = {
+        id: `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        name: trimmed,
+        createdAt: new Date().toISOString(),
+    };
+    localStorage.setItem(PROFILES_KEY, JSON.stringify([...profiles.slice(1), profile]));
+    return profile;
+}
+
+/**
+ * Deletes a profile with its IndexedDB database and localStorage keys. The default profile cannot be deleted.
+ * When the deleted profile was active, the default profile becomes active.
+ * @param {string} id
+ * @returns {Promise<void>}
+ * @throws {Error} For the default profile, or when the database could not be deleted
+ */
+export async function deleteProfile(id) {
+    if (id === DEFAULT_PROFILE_ID) {
+        throw new Error('The default profile cannot be deleted.');
+    }
+    await deleteDatabase(getProfileDbName(id));
+    const prefix = getProfileKeyPrefix(id);
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key.startsWith(prefix)) keys.push(key);
+    }
+    keys.forEach((key) => localStorage.removeItem(key));
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(getProfiles().slice(1).filter((p) => p.id !== id)));
+    if (localStorage.getItem(ACTIVE_PROFILE_KEY) === id) {
+        localStorage.removeItem(ACTIVE_PROFILE_KEY);
+    }
+}
+
+/**
+ * IndexedDB database name for a profile.
+ * @param {string} id
+ * @returns {string} `QuizDB` for the default profile, else `QuizDB:<id>`
+ */
+export function getProfileDbName(id) {
+    return id === DEFAULT_PROFILE_ID ? BASE_DB_NAME : `${BASE_DB_NAME}:${id}`;
+}
+
+function getProfileKeyPrefix(id) {
+    return `profile:${id}:`;
+}
+
+/**
+ * Scopes a localStorage key to a profile (the default profile keeps the bare key).
+ * @param {string} key
+ * @param {string} [id] - Defaults to the active profile
+ * @returns {string}
+ */
+export function profileKey(key, id = getActiveProfile().id) {
+    return id === DEFAULT_PROFILE_ID ? key : `${getProfileKeyPrefix(id)}${key}`;
+}
+
+/**
+ * Inverse of `profileKey`: the bare key if `storedKey` belongs to the profile, else null.
+ * @param {string} storedKey - A key as found in localStorage
+ * @param {string} [id] - Defaults to the active profile
+ * @returns {string|null}
+ */
+export function unprefixProfileKey(storedKey, id = getActiveProfile().id) {
+    if (id === DEFAULT_PROFILE_ID) {
+        return storedKey.startsWith('profile:') ? null : storedKey;
+    }
+    const prefix = getProfileKeyPrefix(id);
+    return storedKey.startsWith(prefix) ? storedKey.slice(prefix.length) : null;
+}
+
+function deleteDatabase(name) {
+    return new Promise((resolve, reject) => {
+        const request = window.indexedDB.deleteDatabase(name);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(new Error(`Could not delete the profile's saved progress (${name}).`));
+    });
+}
@@ -0,0 +1,238 @@
+import Storage from './Storage.js';
+import { UserAnswer } from './UserAnswer.js';
+import { mergeProgress } from './progressTransfer.js';
+import { applyScopeResets, mergeResets } from '../../server/lib/answerHistory.js';
+import { profileKey } from './profiles.js';
+
+/**
+ * Cross-device sync of the active profile's answer history through the API server (`/progress`).
+ * Enabling sync registers a learner (the server issues an id and a secret token); other devices join
+ * with the resulting sync code. Each sync pushes the local history and stores the merged history the
+ * server returns. When the server is unreachable the sync is marked pending and retried once the
+ * browser is back online.
+ */
+
+export const DEFAULT_PROGRESS_SYNC_API = process.env.VITE_PROGRESS_SYNC_API || 'http://localhost:8000/progress';
+
+/** localStorage key (per profile) for the sync credentials and status. */
+const SYNC_STATE_KEY = 'progressSync';
+
+/** How often a pending sync is retried while the browser reports being online. */
+const RETRY_INTERVAL_MS = 60 * 1000;
+
+/**
+ * @typedef {Object} SyncState
+ * @property {string} api - Base URL of the progress endpoints
+ * @property {string} learnerId
+ * @property {string} token - Secret issued by the server
+ * @property {Object<string, string>} resets - When each progress scope was restarted (ISO), so other devices drop older answers
+ * @property {boolean} pending - A change has not reached the server yet
+ * @property {string} [lastSyncedAt]
+ */
+
+/**
+ * The active profile's sync state, or null when sync is off.
+ * @returns {SyncState|null}
+ */
+export function getSyncState() {
+    try {
+        return JSON.parse(localStorage.getItem(profileKey(SYNC_STATE_KEY)) || 'null');
+    } catch {
+        return null;
+    }
+}
+
+function saveSyncState(state) {
+    localStorage.setItem(profileKey(SYNC_STATE_KEY), JSON.stringify(state));
+}
+
+/**
+ * Code to paste on another device to sync it with this one; it contains the secret token.
+ * @param {{ learnerId: string, token: string }} state
+ * @returns {string}
+ */
+export function formatSyncCode({ learnerId, token }) {
+    return `${learnerId}.${token}`;
+}
+
+/**
+ * @param {string} code - From formatSyncCode
+ * @returns {{ learnerId: string, token: string }}
+ * @throws {Error} When the code is malformed
+ */
+export function parseSyncCode(code) {
+    const m = String(code ?? '').trim().match(/^([0-9a-f-]{36})\.([A-Za-z0-9_-]+)$/);
+    if (!m) {
+        throw new Error('That is not a valid sync code.');
+    }
+    return { learnerId: m[1], token: m[2] };
+}
+
+/**
+ * Remembers that a progress scope was restarted, so the next sync also clears it on the server and other devices.
+ * Does nothing while sync is off.
+ * @param {string} scope
+ */
+export function recordScopeReset(scope) {
+    const state = getSyncState();
+    if (!state) return;
+    saveSyncState({ ...state, resets: mergeResets(state.resets, { [scope]: new Date().toISOString() }), pending: true });
+}
+
+async function callApi(url, { method = 'GET', token, body } = {}) {
+    const response = await fetch(url, {
+        method,
+        headers: {
+            ...(body ? { 'Content-Type': 'application/json' } : {}),
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    if (response.status === 401) {
+        throw new Error('The server did not accept this sync code. Turn sync off and link this device again.');
+    }
+    if (!response.ok) {
+        throw new Error(`Sync failed (HTTP ${response.status}).`);
+    }
+    return response.json();
+}
+
+/**
+ * Merges the server's history into IndexedDB, re-reading local records first so answers
+ * submitted during the request are kept.
+ * @returns {Promise<number>} How many answers were new on this device.
+ */
+async function storeRemoteAnswers(remoteRecords, resets) {
+    const local = await Storage.getAll(UserAnswer.storeName);
+    const { userAnswers, report } = mergeProgress(
+        { userAnswers: applyScopeResets(local, resets), hintUsage: [], quizState: {} },
+        { userAnswers: remoteRecords },
+        { mode: 'merge' }
+    );
+    const localById = new Map(local.map((record) => [record.questionId, record]));
+    for (const record of userAnswers) {
+        if (JSON.stringify(record) !== JSON.stringify(localById.get(record.questionId))) {
+            await Storage.save(UserAnswer.storeName, record);
+        }
+        localById.delete(record.questionId);
+    }
+    // Left over: every answer of the question was cleared by a reset
+    for (const questionId of localById.keys()) {
+        await Storage.deleteById(UserAnswer.storeName, questionId);
+    }
+    return report.importedAnswers;
+}
+
+/**
+ * Pushes this device's history and stores the merged history from the server.
+ * @returns {Promise<{ offline: boolean, pulledAnswers: number }|null>} null when sync is off; `offline` when the server was unreachable (the sync stays pending)
+ * @throws {Error} When the server rejected the request
+ */
+export async function syncProgress() {
+    const state = getSyncState();
+    if (!state) return null;
+    const local = applyScopeResets(await Storage.getAll(UserAnswer.storeName), state.resets);
+    let remote;
+    try {
+        remote = await callApi(`${state.api}/${encodeURIComponent(state.learnerId)}`, {
+            method: 'PUT',
+            token: state.token,
+            body: { userAnswers: local, resets: state.resets },
+        });
+    } catch (error) {
+        saveSyncState({ ...(getSyncState() || state), pending: true });
+        if (error instanceof TypeError) {
+            // fetch rejects with TypeError when the server cannot be reached
+            return { offline: true, pulledAnswers: 0 };
+        }
+        throw error;
+    }
+    const resets = mergeResets(state.resets, remote.resets);
+    const pulledAnswers = await storeRemoteAnswers(remote.userAnswers, resets);
+    const latest = getSyncState();
+    if (latest) {
+        // A restart recorded during the request has not reached the server yet
+        const pending = JSON.stringify(latest.resets) !== JSON.stringify(state.resets);
+        saveSyncState({ ...latest, resets: mergeResets(latest.resets, resets), pending, lastSyncedAt: new Date().toISOString() });
+    }
+    return { offline: false, pulledAnswers };
+}
+
+/**
+ * Turns sync on for the active profile: registers a new learner on the server and pushes the local history.
+ * @param {string} [api=DEFAULT_PROGRESS_SYNC_API]
+ * @returns {Promise<{ offline: boolean, pulledAnswers: number }>}
+ */
+export async function enableSync(api = DEFAULT_PROGRESS_SYNC_API) {
+    const { learnerId, token } = await callApi(api, { method: 'POST' });
+    saveSyncState({ api, learnerId, token, resets: {}, pending: true });
+    return syncProgress();
+}
+
+/**
+ * Joins the sync of another device: checks the code with the server, then merges both histories.
+ * @param {string} code - From formatSyncCode on the other device
+ * @param {string} [api=DEFAULT_PROGRESS_SYNC_API]
+ * @returns {Promise<{ offline: boolean, pulledAnswers: number }>}
+ */
+export async function linkSync(code, api = DEFAULT_PROGRESS_SYNC_API) {
+    const { learnerId, token } = parseSyncCode(code);
+    const remote = await callApi(`${api}/${encodeURIComponent(learnerId)}`, { token });
+    saveSyncState({ api, learnerId, token, resets: remote.resets || {}, pending: true });
+    return syncProgress();
+}
+
+/** Turns sync off for the active profile; local and server progress are kept. */
+export function disableSync() {
+    localStorage.removeItem(profileKey(SYNC_STATE_KEY));
+}
+
+let scheduledSync = null;
+let runningSync = null;
+let syncAgain = false;
+let onSyncResult = () => {};
+
+function runSync() {
+    if (runningSync) {
+        // Changes made during the running sync may not be in its request
+        syncAgain = true;
+        return;
+    }
+    runningSync = syncProgress()
+        .then((result) => onSyncResult(result, null))
+        .catch((error) => {
+            console.error('Error syncing progress:', error);
+            onSyncResult(null, error);
+        })
+        .finally(() => {
+            runningSync = null;
+            if (syncAgain) {
+                syncAgain = false;
+                runSync();
+            }
+        });
+}
+
+/**
+ * Syncs soon (e.g. after an answer is saved); several calls within `delayMs` sync once.
+ * Does nothing while sync is off.
+ * @param {number} [delayMs=2000]
+ */
+export function scheduleSync(delayMs = 2000) {
+    if (!getSyncState()) return;
+    clearTimeout(scheduledSync);
+    scheduledSync = setTimeout(runSync, delayMs);
+}
+
+/**
+ * Syncs now, and again whenever the browser comes back online or, while a sync is pending, every minute.
+ * @param {(result: { offline: boolean, pulledAnswers: number }|null, error: Error|null) => void} [onResult] - Called after each sync attempt
+ */
+export function startAutoSync(onResult = () => {}) {
+    onSyncResult = onResult;
+    window.addEventListener('online', () => scheduleSync(0));
+    setInterval(() => {
+        if (navigator.onLine && getSyncState()?.pending) scheduleSync(0);
+    }, RETRY_INTERVAL_MS);
+    scheduleSync(0);
+}
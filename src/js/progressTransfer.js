@@ -0,0 +1,209 @@
+import Storage from './Storage.js';
+import { Question } from './Question.js';
+import { UserAnswer } from './UserAnswer.js';
+import { HintUsage } from './HintUsage.js';
+import { QUIZ_STATE_KEYS } from './Quiz.js';
+import { profileKey, unprefixProfileKey } from './profiles.js';
+import { answerKey } from '../../server/lib/answerHistory.js';
+
+/**
+ * Export / import of learner progress as a portable JSON file, so it survives clearing site data
+ * or moving to another device. The file holds the active profile's raw IndexedDB records (all scopes) plus its quiz state
+ * from localStorage, under profile-independent keys, so it can be imported into any profile.
+ */
+
+export const PROGRESS_FILE_FORMAT = 'quiz-progress';
+/** Bump when the file layout changes; keep `validateProgressFile` able to read older versions. */
+export const PROGRESS_FILE_VERSION = 1;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Checks that `data` is a progress file this app can read.
+ * @param {*} data - Parsed JSON
+ * @throws {Error} Describing the first problem found
+ */
+export function validateProgressFile(data) {
+    if (!isObject(data) || data.format !== PROGRESS_FILE_FORMAT) {
+        throw new Error('This is not a progress export file.');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new Error('The progress file has no valid version.');
+    }
+    if (data.version > PROGRESS_FILE_VERSION) {
+        throw new Error('The progress file was made by a newer version of the app. Update the app and try again.');
+    }
+    if (!Array.isArray(data.userAnswers)) {
+        throw new Error('The progress file has no answer history (userAnswers).');
+    }
+    data.userAnswers.forEach((record, i) => {
+        const valid =
+            isObject(record) &&
+            record.questionId !== undefined &&
+            Array.isArray(record.answers) &&
+            record.answers.every((a) => isObject(a) && typeof a.isCorrect === 'boolean' && typeof a.submittedAt === 'string');
+        if (!valid) {
+            throw new Error(`userAnswers[${i}] is not a valid answer history record.`);
+        }
+    });
+    if (data.hintUsage !== undefined) {
+        if (!Array.isArray(data.hintUsage)) {
+            throw new Error('hintUsage must be a list.');
+        }
+        data.hintUsage.forEach((record, i) => {
+            const valid =
+                isObject(record) &&
+                typeof record.id === 'string' &&
+                record.questionId !== undefined &&
+                typeof record.scope === 'string' &&
+                Array.isArray(record.revealed) &&
+                record.revealed.every(Number.isInteger);
+            if (!valid) {
+                throw new Error(`hintUsage[${i}] is not a valid hint record.`);
+            }
+        });
+    }
+    if (data.quizState !== undefined && (!isObject(data.quizState) || !Object.values(data.quizState).every((v) => typeof v === 'string'))) {
+        throw new Error('quizState must map keys to strings.');
+    }
+}
+
+/**
+ * Combines existing progress with an imported file.
+ * `merge` unions answer histories (duplicates dropped unless the incoming copy has a later `updatedAt`, oldest first)
+ * and revealed hints, and keeps local quiz state;
+ * `replace` keeps only the file's data. Records for question ids not in `knownQuestionIds` are dropped.
+ * @param {{ userAnswers: Object[], hintUsage: Object[], quizState: Object<string, string> }} existing
+ * @param {Object} incoming - A validated progress file
+ * @param {{ mode: 'merge'|'replace', knownQuestionIds?: Set<*>|null }} options - null/omitted ids keeps every record
+ * @returns {{ userAnswers: Object[], hintUsage: Object[], quizState: Object<string, string>, report: { importedAnswers: number, skippedAnswers: number, unknownQuestionIds: Array } }}
+ */
+export function mergeProgress(existing, incoming, { mode, knownQuestionIds = null }) {
+    const isKnown = (questionId) => !knownQuestionIds || knownQuestionIds.has(questionId);
+    const unknownQuestionIds = new Set();
+    let skippedAnswers = 0;
+    let importedAnswers = 0;
+
+    const answersById = new Map();
+    if (mode === 'merge') {
+        existing.userAnswers.forEach((record) => answersById.set(record.questionId, [...record.answers]));
+    }
+    for (const record of incoming.userAnswers) {
+        if (!isKnown(record.questionId)) {
+            unknownQuestionIds.add(record.questionId);
+            skippedAnswers += record.answers.length;
+            continue;
+        }
+        const answers = answersById.get(record.questionId) || [];
+        const indexByKey = new Map(answers.map((answer, i) => [answerKey(answer), i]));
+        for (const answer of record.answers) {
+            const key = answerKey(answer);
+            if (indexByKey.has(key)) {
+                // Same submission from both sides: keep the most recently updated copy (e.g. re-graded)
+                const i = indexByKey.get(key);
+                if ((answer.updatedAt || '') > (answers[i].updatedAt || '')) {
+                    answers[i] = { ...answer, questionId: record.questionId };
+                }
+                continue;
+            }
+            indexByKey.set(key, answers.length);
+            answers.push({ ...answer, questionId: record.questionId });
+            importedAnswers++;
+        }
+        answersById.set(record.questionId, answers);
+    }
+    const userAnswers = [...answersById].map(([questionId, answers]) => ({
+        questionId,
+        answers: answers.sort((a, b) => a.submittedAt.localeCompare(b.submittedAt)),
+    }));
+
+    const hintsById = new Map();
+    if (mode === 'merge') {
+        existing.hintUsage.forEach((record) => hintsById.set(record.id, record));
+    }
+    for (const record of incoming.hintUsage || []) {
+        if (!isKnown(record.questionId)) {
+            unknownQuestionIds.add(record.questionId);
+            continue;
+        }
+        const current = hintsById.get(record.id);
+        if (!current) {
+            hintsById.set(record.id, record);
+            continue;
+        }
+        const merged = HintUsage.fromJSON(current);
+        record.revealed.forEach((hintIndex) => merged.reveal(hintIndex));
+        hintsById.set(record.id, merged.toJSON());
+    }
+
+    const quizState = mode === 'merge'
+        ? { ...(incoming.quizState || {}), ...existing.quizState }
+        : { ...(incoming.quizState || {}) };
+
+    return {
+        userAnswers,
+        hintUsage: [...hintsById.values()],
+        quizState,
+        report: { importedAnswers, skippedAnswers, unknownQuestionIds: [...unknownQuestionIds] },
+    };
+}
+
+/** Whether a localStorage key holds quiz state (`attempt`, `examState`, or their per-scope variants). */
+function isQuizStateKey(key) {
+    return QUIZ_STATE_KEYS.some((name) => key === name || key.startsWith(`${name}:`));
+}
+
+/** Reads the active profile's quiz state from localStorage, keyed without the profile prefix. */
+function readQuizState() {
+    const state = {};
+    for (let i = 0; i < localStorage.length; i++) {
+        const storedKey = localStorage.key(i);
+        const key = unprefixProfileKey(storedKey);
+        if (key !== null && isQuizStateKey(key)) state[key] = localStorage.getItem(storedKey);
+    }
+    return state;
+}
+
+/**
+ * Builds the export file from IndexedDB and localStorage.
+ * @returns {Promise<Object>}
+ */
+export async function exportProgress() {
+    return {
+        format: PROGRESS_FILE_FORMAT,
+        version: PROGRESS_FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        userAnswers: await Storage.getAll(UserAnswer.storeName),
+        hintUsage: await Storage.getAll(HintUsage.storeName),
+        quizState: readQuizState(),
+    };
+}
+
+/**
+ * Validates and imports a progress file, merging with or replacing the active profile's progress.
+ * @param {*} data - Parsed JSON from the file
+ * @param {{ mode: 'merge'|'replace' }} options
+ * @returns {Promise<{ importedAnswers: number, skippedAnswers: number, unknownQuestionIds: Array }>}
+ * @throws {Error} When the file is not valid, or saving it failed (nothing is changed: answers and hints are written in one transaction)
+ */
+export async function importProgress(data, { mode }) {
+    validateProgressFile(data);
+    const questions = await Question.getAll();
+    const existing = {
+        userAnswers: await Storage.getAll(UserAnswer.storeName),
+        hintUsage: await Storage.getAll(HintUsage.storeName),
+        quizState: readQuizState(),
+    };
+    const result = mergeProgress(existing, data, {
+        mode,
+        knownQuestionIds: questions.length > 0 ? new Set(questions.map((q) => q.id)) : null,
+    });
+
+    await Storage.replaceStores({
+        [UserAnswer.storeName]: result.userAnswers,
+        [HintUsage.storeName]: result.hintUsage,
+    });
+    Object.keys(existing.quizState).forEach((key) => localStorage.removeItem(profileKey(key)));
+    Object.entries(result.quizState).forEach(([key, value]) => localStorage.setItem(profileKey(key), value));
+    return result.report;
+}
@@ -1,3 +1,6 @@
+import { seededDerangedOrder, seededShuffle } from './shuffle.js';
+import { DEFAULT_HINT_COST } from './grading.js';
+
 /** Renders inline Markdown (bold, code, etc.) using the same marked instance as the question body. */
 function renderInline(marked, text) {
     if (!text) return '';
@@ -33,15 +36,101 @@ function escapeAttr(s) {
         .replace(/</g, '&lt;');
 }
 
+/** Escapes a string for use as HTML text content (e.g. inside <textarea>). */
+export function escapeHtml(s) {
+    return String(s)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Renders a cloze prompt with an input in place of each `{{n}}` placeholder.
+ * Inputs are inserted after Markdown parsing so blanks inside `code` spans work too.
+ * Blanks listed in `userAnswer.incorrectBlanks` are highlighted.
+ */
+function renderClozePrompt(question, userAnswer, marked, { isCurrent, toggleFn, submitFn }) {
+    const given = userAnswer && Array.isArray(userAnswer.answer) ? userAnswer.answer : [];
+    const wrong = new Set(userAnswer?.incorrectBlanks || []);
+    return marked.parse(question.question).replace(/\{\{(\d+)\}\}/g, (placeholder, n) => {
+        const i = Number(n);
+        if (i >= question.blanks.length) return placeholder;
+        const width = Math.max(6, ...question.blanks[i].accept.map((a) => a.length)) + 2;
+        return `<input type="text" autocomplete="off" spellcheck="false"
+            class="form-control form-control-sm d-inline-block w-auto cloze-blank ${wrong.has(i) ? 'is-invalid' : ''}"
+            id="cloze-${question.id}-${i}" data-blank="${i}" size="${Math.min(width, 30)}"
+            aria-label="Blank ${i + 1}" value="${escapeAttr(given[i] ?? '')}"
+            ${!isCurrent ? 'disabled' : ''}
+            oninput="${toggleFn}(${question.id})"
+            onkeydown="if (event.key === 'Enter') { event.preventDefault(); ${submitFn}(${question.id}); }">`;
+    });
+}
+
+/**
+ * Hint button and counter state: hints unlock one at a time, so the button always offers the next one.
+ * @param {{ hints?: string[], hintCosts?: number[] }} question
+ * @param {number[]} revealedHints - Revealed hint indices
+ */
+function getHintControlsState(question, revealedHints) {
+    const total = question.hints?.length || 0;
+    const next = (question.hints || []).findIndex((_, i) => !revealedHints.includes(i));
+    const used = next === -1 ? total : revealedHints.filter((i) => i < total).length;
+    const cost = next === -1 ? 0 : question.hintCosts?.[next] ?? DEFAULT_HINT_COST;
+    return {
+        usageText: `${used} of ${total} hints used`,
+        label: next === -1 ? 'No more hints' : `Hint ${next + 1}`,
+        disabled: next === -1,
+        title: next === -1 ? 'All hints revealed' : `Costs ${Math.round(cost * 100)}% of this question's score`,
+    };
+}
+
+/**
+ * Shows newly revealed hints and refreshes the hint button and counter, without re-rendering the card
+ * (so a half-typed answer is kept).
+ * @param {Object} question
+ * @param {HTMLElement} container - The question card
+ * @param {number[]} revealedHints - Revealed hint indices
+ */
+export function updateHintControls(question, container, revealedHints) {
+    revealedHints.forEach((i) => container.querySelector(`#hint-${question.id}-${i}`)?.classList.remove('d-none'));
+    const state = getHintControlsState(question, revealedHints);
+    const usage = container.querySelector(`#hint-usage-${question.id}`);
+    if (usage) usage.textContent = state.usageText;
+    const button = container.querySelector(`#hint-btn-${question.id}`);
+    if (button) {
+        button.textContent = state.label;
+        button.disabled = state.disabled;
+        button.title = state.title;
+    }
+}
+
+/**
+ * Shows the evaluation of a subjective answer while it streams in, under the card's Submit button
+ * (the placeholder is rendered by buildQuestionCardHTML; the card is re-rendered with the final result).
+ * @param {Object} question - Question model instance
+ * @param {HTMLElement} container - The question card
+ * @param {string} text - Evaluation Markdown received so far
+ * @param {import('marked').Marked} marked - configured marked
+ */
+export function updateStreamingEvaluation(question, container, text, marked) {
+    const target = container.querySelector(`#streaming-evaluation-${question.id}`);
+    if (!target) return;
+    target.innerHTML = `<strong>Evaluating…</strong><br>${marked.parse(text)}`;
+    target.classList.remove('d-none');
+}
+
 /**
  * Builds HTML for a single question card (shared by main quiz and /question/:slug view).
  * @param {Object} question - Question model instance
  * @param {Object|null} userAnswer - Latest UserAnswer or null
  * @param {import('marked').Marked} marked - configured marked
- * @param {{ isCurrent: boolean, slugView?: boolean, quiz?: import('./Quiz.js').Quiz }} options
+ * @param {{ isCurrent: boolean, slugView?: boolean, quiz?: import('./Quiz.js').Quiz, optionSeed?: number|null, revealedHints?: number[] }} options
+ *   `optionSeed` shuffles the displayed options for the attempt; values stay the option texts, so grading is unaffected.
+ *   `revealedHints` are hint indices already revealed, shown again after a re-render.
  */
 export function buildQuestionCardHTML(question, userAnswer, marked, options) {
-    const { isCurrent, slugView = false, quiz } = options;
+    const { isCurrent, slugView = false, quiz, optionSeed = null, revealedHints = [] } = options;
+    const seedFor = (kind) => (optionSeed === null ? `${kind}:${question.id}` : `${kind}:${optionSeed}:${question.id}`);
     const showSubmit =
         isCurrent && (slugView ? true : quiz && !quiz.isQuizCompleted());
     const showNext =
@@ -55,8 +144,7 @@ export function buildQuestionCardHTML(question, userAnswer, marked, options) {
     const toggleFn = slugView ? 'toggleSubmitButtonSlug' : 'toggleSubmitButton';
     const keydownFn = slugView ? 'handleTextareaKeydownSlug' : 'handleTextareaKeydown';
 
-    const hint0 = question.hints?.[0] ?? '';
-    const hint1 = question.hints?.[1] ?? '';
+    const hintControls = getHintControlsState(question, revealedHints);
 
     let questionHtml = `
                 <div class="question-container card mb-3 ${isCurrent ? 'current' : userAnswer ? 'answered' : ''}" id="question-container-${question.id}">
@@ -64,20 +152,26 @@ export function buildQuestionCardHTML(question, userAnswer, marked, options) {
                         <h3 class="mb-0">Question ${question.id}</h3>
                     </div>
                     <div id="question-content-${question.id}" class="collapse ${isCurrent ? 'show' : ''} question-content card-body">
-                        <p class="card-text">${marked.parse(question.question)}</p>
+                        <p class="card-text">${question.type === 'cloze' ? renderClozePrompt(question, userAnswer, marked, { isCurrent, toggleFn, submitFn }) : marked.parse(question.question)}</p>
                         <div class="answer-container mb-3">
             `;
 
-    if (question.type === 'objective') {
-        questionHtml += question.options
+    if (question.type === 'objective' || question.type === 'multiselect') {
+        const isMulti = question.type === 'multiselect';
+        const selected = isMulti && userAnswer && Array.isArray(userAnswer.answer) ? userAnswer.answer : [];
+        if (isMulti) {
+            questionHtml += `<p class="small text-muted mb-2">Select all that apply.</p>`;
+        }
+        const displayedOptions = optionSeed === null ? question.options : seededShuffle(question.options, seedFor('options'));
+        questionHtml += displayedOptions
             .map(
                 (option, index) => {
                     const letter = String.fromCharCode(65 + index);
                     return `
                     <div class="form-check">
-                        <input class="form-check-input" type="radio" id="option-${question.id}-${index}" 
+                        <input class="form-check-input" type="${isMulti ? 'checkbox' : 'radio'}" id="option-${question.id}-${index}" 
                             name="answer-${question.id}" value="${escapeAttr(option)}"
-                            ${userAnswer && userAnswer.answer === option ? 'checked' : ''}
+                            ${(isMulti ? selected.includes(option) : userAnswer && userAnswer.answer === option) ? 'checked' : ''}
                             ${!isCurrent ? 'disabled' : ''}
                             onchange="${toggleFn}(${question.id})">
                         <label class="form-check-label" for="option-${question.id}-${index}">${letter}. ${renderInline(marked, option)}</label>
@@ -86,8 +180,74 @@ export function buildQuestionCardHTML(question, userAnswer, marked, options) {
                 }
             )
             .join('');
+    } else if (question.type === 'ordering') {
+        const items = userAnswer && Array.isArray(userAnswer.answer)
+            ? userAnswer.answer
+            : seededDerangedOrder(question.options, seedFor('ordering'));
+        questionHtml += `
+                    <p class="small text-muted mb-2">Drag the items into the correct order${isCurrent ? ', or focus one and press Alt+↑ / Alt+↓' : ''}.</p>
+                    <ol class="list-group list-group-numbered ordering-list" id="ordering-${question.id}" oninput="${toggleFn}(${question.id})">
+                        ${items.map((item) => `
+                        <li class="list-group-item d-flex align-items-center gap-2 ordering-item" data-value="${escapeAttr(item)}"
+                            ${isCurrent ? 'draggable="true" tabindex="0"' : ''}>
+                            <span class="flex-grow-1">${renderInline(marked, item)}</span>
+                            ${isCurrent ? `
+                            <button type="button" class="btn btn-sm btn-outline-dark ordering-move" data-direction="-1" aria-label="Move up">↑</button>
+                            <button type="button" class="btn btn-sm btn-outline-dark ordering-move" data-direction="1" aria-label="Move down">↓</button>` : ''}
+                        </li>`).join('')}
+                    </ol>`;
+    } else if (question.type === 'matching') {
+        const chosen = userAnswer && Array.isArray(userAnswer.answer) ? userAnswer.answer : [];
+        const wrong = new Set(userAnswer?.incorrectPairs || []);
+        const rights = seededShuffle(question.pairs.map((p) => p.right), seedFor('matching'));
+        const [leftHeading = '', rightHeading = ''] = question.columns || [];
+        questionHtml += `
+                    <table class="table align-middle matching-table mb-0">
+                        ${leftHeading || rightHeading ? `<thead><tr><th scope="col">${renderInline(marked, leftHeading)}</th><th scope="col">${renderInline(marked, rightHeading)}</th></tr></thead>` : ''}
+                        <tbody>
+                        ${question.pairs.map((pair, i) => `
+                            <tr>
+                                <td><label for="match-${question.id}-${i}">${renderInline(marked, pair.left)}</label></td>
+                                <td>
+                                    <select class="form-select form-select-sm ${wrong.has(i) ? 'is-invalid' : ''}" id="match-${question.id}-${i}" data-pair="${i}"
+                                        ${!isCurrent ? 'disabled' : ''}
+                                        onchange="${toggleFn}(${question.id})">
+                                        <option value="">Choose…</option>
+                                        ${rights.map((right) => `<option value="${escapeAttr(right)}" ${chosen[i] === right ? 'selected' : ''}>${escapeHtml(right)}</option>`).join('')}
+                                    </select>
+                                </td>
+                            </tr>`).join('')}
+                        </tbody>
+                    </table>`;
+    } else if (question.type === 'cloze') {
+        questionHtml += `<p class="small text-muted mb-0">Fill in every blank in the question above.</p>`;
+    } else if (question.type === 'numeric') {
+        // Text input with a decimal keypad rather than type="number", so answers like "≈2" or "120 ms" can be typed
+        const unit = question.units?.[0];
+        questionHtml += `
+                    <div class="input-group numeric-answer">
+                        <input type="text" inputmode="decimal" autocomplete="off" class="form-control ${isCurrent && userAnswer && !userAnswer.isCorrect ? 'is-invalid' : ''}" id="numeric-answer-${question.id}"
+                            placeholder="Enter a number" value="${userAnswer ? escapeAttr(userAnswer.answer) : ''}"
+                            ${!isCurrent ? 'disabled' : ''}
+                            oninput="${toggleFn}(${question.id})"
+                            onkeydown="if (event.key === 'Enter') { event.preventDefault(); ${submitFn}(${question.id}); }">
+                        ${unit ? `<span class="input-group-text">${escapeHtml(unit)}</span>` : ''}
+                    </div>`;
+    } else if (question.type === 'sql') {
+        const schemaSql = [question.schema, question.seed].filter(Boolean).join('\n\n');
+        questionHtml += `
+                    <details class="sql-schema mb-2">
+                        <summary class="small text-muted">Schema and sample data</summary>
+                        ${marked.parse('```sql\n' + schemaSql + '\n```')}
+                    </details>
+                    <textarea class="form-control font-monospace sql-answer ${isCurrent && userAnswer && !userAnswer.isCorrect ? 'is-invalid' : ''}" id="sql-answer-${question.id}" rows="6" 
+                    spellcheck="false" placeholder="SELECT …"
+                    ${!isCurrent ? 'disabled' : ''}
+                    oninput="${toggleFn}(${question.id})"
+                    onkeydown="${keydownFn}(event, ${question.id})">${userAnswer ? escapeHtml(userAnswer.answer) : ''}</textarea>`;
     } else {
         questionHtml += `<textarea class="form-control ${isCurrent && userAnswer && !userAnswer.isCorrect ? 'is-invalid' : ''}" id="subjective-answer-${question.id}" rows="6" 
+                    ${question.maxLength > 0 ? `maxlength="${question.maxLength}"` : ''}
                     ${!isCurrent ? 'disabled' : ''}
                     oninput="${toggleFn}(${question.id})"
                     onkeydown="${keydownFn}(event, ${question.id})">${userAnswer ? userAnswer.answer : ''}</textarea>`;
@@ -105,17 +265,19 @@ export function buildQuestionCardHTML(question, userAnswer, marked, options) {
                             <button class="btn btn-dark submit-btn" onclick="${submitFn}(${question.id})" id="submit-btn-${question.id}" disabled>Submit</button>
                             ${showSkip ? '<button type="button" class="btn btn-outline-secondary skip-btn" onclick="handleSkipQuestion()">Skip</button>' : ''}
                         </div>
-                        <div>
-                            <button class="btn btn-sm btn-outline-dark hint-btn" onclick="${hintFn}(${question.id}, 0)">Hint 1</button>
-                            <button class="btn btn-sm btn-outline-dark hint-btn" onclick="${hintFn}(${question.id}, 1)">Hint 2</button>
+                        <div class="d-flex gap-2 align-items-center">
+                            <span class="small text-muted hint-usage" id="hint-usage-${question.id}">${hintControls.usageText}</span>
+                            <button class="btn btn-sm btn-outline-dark hint-btn" id="hint-btn-${question.id}" onclick="${hintFn}(${question.id})"
+                                title="${escapeAttr(hintControls.title)}" ${hintControls.disabled ? 'disabled' : ''}>${hintControls.label}</button>
                         </div>
                     </div>
+                    ${question.type === 'subjective' ? `<div class="full-evaluation small mt-3 d-none" id="streaming-evaluation-${question.id}" aria-live="polite"></div>` : ''}
                 `;
     }
 
     questionHtml += `
-                        <div class="hint d-none mt-2" id="hint-${question.id}-0"><span class="emoji-icon">💡</span> ${renderInline(marked, hint0)}</div>
-                        <div class="hint d-none mt-2" id="hint-${question.id}-1"><span class="emoji-icon">💡</span> ${renderInline(marked, hint1)}</div>
+                        ${(question.hints || []).map((hint, i) => `
+                        <div class="hint ${revealedHints.includes(i) ? '' : 'd-none'} mt-2" id="hint-${question.id}-${i}"><span class="emoji-icon">💡</span> ${renderInline(marked, hint)}</div>`).join('')}
             `;
 
     if (userAnswer) {
@@ -123,16 +285,35 @@ export function buildQuestionCardHTML(question, userAnswer, marked, options) {
                     <div class="feedback mt-3">
                         ${userAnswer.isCorrect
                             ? `<p class="text-dark"><strong><span class="emoji-icon">✓</span> Correct!</strong>${userAnswer.grade !== undefined ? ` Grade: ${userAnswer.grade}/10` : ''}</p>`
-                            : '<p class="text-dark"><strong><span class="emoji-icon">✗</span> Incorrect</strong></p>'}
+                            : `<p class="text-dark"><strong><span class="emoji-icon">✗</span> Incorrect</strong>${userAnswer.grade > 0 ? ` Partial credit: ${userAnswer.grade}/10` : ''}</p>`}
+                        ${userAnswer.provisional
+                            ? `<p class="text-muted small">Provisional result from a keyword check: the AI grader was unreachable. It will re-grade this answer when it is back.</p>`
+                            : ''}
+                        ${question.type === 'cloze' && userAnswer.incorrectBlanks?.length
+                            ? `<p class="text-dark small">Check blank${userAnswer.incorrectBlanks.length > 1 ? 's' : ''} ${userAnswer.incorrectBlanks.map((i) => i + 1).join(', ')} (highlighted above).</p>`
+                            : ''}
+                        ${question.type === 'matching' && userAnswer.incorrectPairs?.length
+                            ? `<p class="text-dark small">${userAnswer.incorrectPairs.length} of ${question.pairs.length} pairs are wrong (highlighted above).</p>`
+                            : ''}
                         ${(!isCurrent || userAnswer.isCorrect) && userAnswer.fullEvaluation
                             ? `
                             <div class="full-evaluation mt-2">
                                 <strong>Evaluation:</strong><br>
                                 ${marked.parse(userAnswer.fullEvaluation)}
+                                ${userAnswer.criteria?.length ? `
+                                <ul class="list-unstyled small mb-0">
+                                    ${userAnswer.criteria.map((c) => `<li><span class="emoji-icon">${c.met ? '✓' : '✗'}</span> <strong>${escapeHtml(c.criterion)}</strong>${c.note ? ` — ${escapeHtml(c.note)}` : ''}</li>`).join('')}
+                                </ul>` : ''}
+                                ${userAnswer.coveredConcepts?.length || userAnswer.missingConcepts?.length ? `
+                                <p class="small mb-0 mt-1">
+                                    ${userAnswer.coveredConcepts?.length ? `<strong>Covered:</strong> ${userAnswer.coveredConcepts.map(escapeHtml).join(', ')}` : ''}
+                                    ${userAnswer.coveredConcepts?.length && userAnswer.missingConcepts?.length ? ' · ' : ''}
+                                    ${userAnswer.missingConcepts?.length ? `<strong>Missing:</strong> ${userAnswer.missingConcepts.map(escapeHtml).join(', ')}` : ''}
+                                </p>` : ''}
                             </div>
                         `
                             : ''}
-                        ${isCurrent && !userAnswer.isCorrect && userAnswer.nextHint ? `<strong>AI Suggestion:</strong> ${userAnswer.nextHint}` : ''}
+                        ${isCurrent && !userAnswer.isCorrect && userAnswer.nextHint ? `<strong>${question.type === 'subjective' ? 'AI Suggestion' : 'Suggestion'}:</strong> ${question.type === 'subjective' ? userAnswer.nextHint : escapeHtml(userAnswer.nextHint)}` : ''}
                     </div>
                 `;
         if (showNext) {
@@ -150,3 +331,112 @@ export function buildQuestionCardHTML(question, userAnswer, marked, options) {
 
     return questionHtml;
 }
+
+/**
+ * Reads the learner's answer from a rendered question card.
+ * @param {Object} question - Question model instance
+ * @param {HTMLElement} container - The `#question-container-<id>` element
+ * @returns {string|string[]} Option text (objective), selected option texts (multiselect), items in displayed order (ordering), one value per blank (cloze), chosen right item per pair (matching), or typed text (subjective, sql, numeric)
+ */
+export function readAnswerFromCard(question, container) {
+    if (question.type === 'objective') {
+        const selectedOption = container.querySelector(`input[name="answer-${question.id}"]:checked`);
+        return selectedOption ? selectedOption.value : '';
+    }
+    if (question.type === 'multiselect') {
+        return [...container.querySelectorAll(`input[name="answer-${question.id}"]:checked`)].map((input) => input.value);
+    }
+    if (question.type === 'sql') {
+        return container.querySelector(`#sql-answer-${question.id}`).value;
+    }
+    if (question.type === 'numeric') {
+        return container.querySelector(`#numeric-answer-${question.id}`).value;
+    }
+    if (question.type === 'cloze') {
+        return [...container.querySelectorAll(`input[id^="cloze-${question.id}-"]`)]
+            .sort((a, b) => Number(a.dataset.blank) - Number(b.dataset.blank))
+            .map((input) => input.value);
+    }
+    if (question.type === 'matching') {
+        return question.pairs.map((_, i) => container.querySelector(`#match-${question.id}-${i}`).value);
+    }
+    if (question.type === 'ordering') {
+        return [...container.querySelectorAll(`#ordering-${question.id} .ordering-item`)].map((li) => li.dataset.value);
+    }
+    return container.querySelector(`#subjective-answer-${question.id}`).value;
+}
+
+/**
+ * True when the card has enough input to enable Submit.
+ * @param {Object} question - Question model instance
+ * @param {HTMLElement} container - The `#question-container-<id>` element
+ */
+export function hasAnswerInCard(question, container) {
+    const answer = readAnswerFromCard(question, container);
+    if (Array.isArray(answer)) {
+        return answer.length > 0 && answer.every((value) => String(value).trim() !== '');
+    }
+    return String(answer).trim() !== '';
+}
+
+/**
+ * Wires drag-and-drop and keyboard reordering for `.ordering-list` cards inside `root`.
+ * Uses event delegation, so call once per container; cards can be re-rendered freely.
+ * Every move dispatches `input` on the list so the card's submit toggle runs.
+ * @param {HTMLElement} root
+ */
+export function enableOrderingLists(root) {
+    let dragged = null;
+
+    const moveItem = (item, direction) => {
+        const sibling = direction < 0 ? item.previousElementSibling : item.nextElementSibling;
+        if (!sibling) return;
+        item.parentElement.insertBefore(item, direction < 0 ? sibling : sibling.nextElementSibling);
+        item.focus();
+        item.parentElement.dispatchEvent(new Event('input', { bubbles: true }));
+    };
+
+    root.addEventListener('dragstart', (event) => {
+        const item = event.target.closest?.('.ordering-item[draggable="true"]');
+        if (!item) return;
+        dragged = item;
+        item.classList.add('dragging');
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', item.dataset.value);
+    });
+
+    root.addEventListener('dragover', (event) => {
+        const over = event.target.closest?.('.ordering-item');
+        if (!dragged || !over || over === dragged || over.parentElement !== dragged.parentElement) return;
+        event.preventDefault();
+        const { top, height } = over.getBoundingClientRect();
+        const after = event.clientY > top + height / 2;
+        over.parentElement.insertBefore(dragged, after ? over.nextElementSibling : over);
+    });
+
+    root.addEventListener('drop', (event) => {
+        if (dragged) event.preventDefault();
+    });
+
+    root.addEventListener('dragend', () => {
+        if (!dragged) return;
+        dragged.classList.remove('dragging');
+        dragged.parentElement.dispatchEvent(new Event('input', { bubbles: true }));
+        dragged = null;
+    });
+
+    root.addEventListener('click', (event) => {
+        const button = event.target.closest?.('.ordering-move');
+        if (!button) return;
+        moveItem(button.closest('.ordering-item'), Number(button.dataset.direction));
+    });
+
+    root.addEventListener('keydown', (event) => {
+        const item = event.target.closest?.('.ordering-item[draggable="true"]');
+        if (!item || event.target !== item || !event.altKey) return;
+        if (event.key === 'ArrowUp' || event.key === 'ArrowDown') {
+            event.preventDefault();
+            moveItem(item, event.key === 'ArrowUp' ? -1 : 1);
+        }
+    });
+}
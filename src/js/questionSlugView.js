@@ -18,15 +18,18 @@ export function parseQuestionSlugFromPathname(pathname) {
 /**
  * Loads synced questions and answers, resolves by slug for the standalone question page (no main Quiz.init).
  * @param {string} slug
+ * @param {Object} [quizOptions] - Options for the Quiz (see its constructor)
  * @returns {Promise<{ slugQuiz: Quiz, question: import('./Question.js').Question, latestUserAnswer: import('./UserAnswer.js').UserAnswer|null }|{ notFound: true }>}
  */
-export async function loadQuestionBySlug(slug) {
-    const slugQuiz = new Quiz();
+export async function loadQuestionBySlug(slug, quizOptions = {}) {
+    const slugQuiz = new Quiz(quizOptions);
     await slugQuiz.loadQuestions({ skipProgressionIndex: true });
     const question = slugQuiz.questions.find((q) => q.slug === slug);
     if (!question) {
         return { notFound: true };
     }
+    // Point the "current" question at the slug so per-question timing (timeSpentMs) applies
+    slugQuiz.currentQuestionIndex = slugQuiz.questions.indexOf(question);
     const latestUserAnswer = slugQuiz.getLatestUserAnswer(question.id);
     return { slugQuiz, question, latestUserAnswer };
 }
@@ -0,0 +1,77 @@
+/**
+ * Spaced-repetition scheduling (SM-2) computed from a question's stored attempt history.
+ * Nothing is persisted: the schedule is replayed from `UserAnswer` records each time,
+ * so it stays consistent with whatever history IndexedDB holds.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+const DEFAULT_EASE = 2.5;
+
+/**
+ * Maps one attempt to an SM-2 quality score (0–5).
+ * Correct answers score 3–5 by grade; incorrect ones 0–2. Each hint used costs one point,
+ * but a correct answer never drops below 3 ("correct with difficulty").
+ * @param {{ isCorrect: boolean, grade?: number, hintsUsed?: number }} attempt
+ * @returns {number}
+ */
+export function attemptQuality(attempt) {
+    const grade = typeof attempt.grade === 'number' ? attempt.grade : (attempt.isCorrect ? 10 : 0);
+    const hints = attempt.hintsUsed || 0;
+    if (attempt.isCorrect) {
+        const quality = grade >= 9 ? 5 : grade >= 7 ? 4 : 3;
+        return Math.max(3, quality - hints);
+    }
+    const quality = grade >= 5 ? 2 : grade >= 1 ? 1 : 0;
+    return Math.max(0, quality - hints);
+}
+
+/**
+ * Replays a question's attempts (oldest first) through SM-2.
+ * @param {Array<{ isCorrect: boolean, grade?: number, hintsUsed?: number, submittedAt: string }>} history
+ * @returns {{ repetitions: number, ease: number, intervalDays: number, lastReviewedAt: string, dueAt: Date }|null}
+ *   null when the question has never been answered
+ */
+export function scheduleFromHistory(history) {
+    if (!history || history.length === 0) return null;
+    let repetitions = 0;
+    let ease = DEFAULT_EASE;
+    let intervalDays = 0;
+
+    for (const attempt of history) {
+        const quality = attemptQuality(attempt);
+        if (quality < 3) {
+            repetitions = 0;
+            intervalDays = 1;
+        } else {
+            repetitions++;
+            intervalDays = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(intervalDays * ease);
+        }
+        ease = Math.max(MIN_EASE, ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+    }
+
+    const lastReviewedAt = history[history.length - 1].submittedAt;
+    return {
+        repetitions,
+        ease,
+        intervalDays,
+        lastReviewedAt,
+        dueAt: new Date(new Date(lastReviewedAt).getTime() + intervalDays * DAY_MS),
+    };
+}
+
+/**
+ * Questions whose next review is due at `now`, most overdue first. Unanswered questions are never due
+ * (they belong to the main quiz, not review).
+ * @param {Array<{ id: * }>} questions
+ * @param {Map<*, Array>} answersByQuestionId - Attempt history per question id, oldest first
+ * @param {Date} [now]
+ * @returns {Array} Subset of `questions`
+ */
+export function getDueQuestions(questions, answersByQuestionId, now = new Date()) {
+    return questions
+        .map(question => ({ question, schedule: scheduleFromHistory(answersByQuestionId.get(question.id)) }))
+        .filter(({ schedule }) => schedule && schedule.dueAt.getTime() <= now.getTime())
+        .sort((a, b) => a.schedule.dueAt - b.schedule.dueAt)
+        .map(({ question }) => question);
+}
@@ -0,0 +1,57 @@
+/**
+ * Registers the service worker (src/public/sw.js) in production builds and reports updates:
+ * a new build waiting to take over, or a changed question bank.
+ */
+
+/**
+ * @callback UpdateListener
+ * @param {'build'|'content'} kind - A new app build is installed, or questions.json / decks.json changed
+ * @param {() => void} apply - Reloads into the update (activating the new build first)
+ */
+
+/**
+ * Asks a waiting worker to take over; the page reloads once it controls the page.
+ * @param {ServiceWorker} worker
+ */
+function activateWaitingWorker(worker) {
+    navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+    worker.postMessage({ type: 'skip-waiting' });
+}
+
+/**
+ * Registers the service worker; does nothing in development or when the browser has no service workers.
+ * @param {UpdateListener} onUpdate
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export async function registerServiceWorker(onUpdate) {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return null;
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data?.type === 'content-updated') {
+            onUpdate('content', () => window.location.reload());
+        }
+    });
+
+    let registration;
+    try {
+        registration = await navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`);
+    } catch (error) {
+        console.error('Service worker registration failed:', error);
+        return null;
+    }
+
+    const reportWaiting = () => {
+        // Without a controller this is the first install, not an update
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            onUpdate('build', () => activateWaitingWorker(registration.waiting));
+        }
+    };
+    reportWaiting();
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker?.addEventListener('statechange', () => {
+            if (worker.state === 'installed') reportWaiting();
+        });
+    });
+    return registration;
+}
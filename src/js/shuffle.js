@@ -0,0 +1,82 @@
+/**
+ * Deterministic shuffling: the same seed always yields the same order, so a re-render
+ * (or a page reload) shows items where the learner last saw them.
+ */
+
+/** Hashes a string (or number) to an unsigned 32-bit seed (FNV-1a). */
+export function hashSeed(value) {
+    const s = String(value);
+    let h = 0x811c9dc5;
+    for (let i = 0; i < s.length; i++) {
+        h ^= s.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/**
+ * Returns a seeded pseudo-random generator (mulberry32) yielding floats in [0, 1).
+ * @param {number|string} seed
+ * @returns {() => number}
+ */
+export function createSeededRandom(seed) {
+    let a = typeof seed === 'number' ? seed >>> 0 : hashSeed(seed);
+    return function next() {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Fisher–Yates shuffle of a copy of `items` using a seeded generator.
+ * @template T
+ * @param {T[]} items
+ * @param {number|string} seed
+ * @returns {T[]}
+ */
+export function seededShuffle(items, seed) {
+    const random = createSeededRandom(seed);
+    const out = [...items];
+    for (let i = out.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [out[i], out[j]] = [out[j], out[i]];
+    }
+    return out;
+}
+
+/**
+ * Like `seededShuffle`, but never returns the original order when there are two or more items
+ * (an unshuffled ordering question would give the answer away).
+ * @template T
+ * @param {T[]} items
+ * @param {number|string} seed
+ * @returns {T[]}
+ */
+export function seededDerangedOrder(items, seed) {
+    const out = seededShuffle(items, seed);
+    if (out.length > 1 && out.every((item, i) => item === items[i])) {
+        out.push(out.shift());
+    }
+    return out;
+}
+
+/**
+ * Picks the questions for one attempt from a pool: optionally shuffled, optionally only `count` of them.
+ * When drawing without shuffling, the drawn items keep their pool order.
+ * @template T
+ * @param {T[]} items
+ * @param {number|string} seed
+ * @param {{ shuffle?: boolean, count?: number }} [options]
+ * @returns {T[]}
+ */
+export function drawFromPool(items, seed, { shuffle = false, count } = {}) {
+    const isDraw = Number.isInteger(count) && count > 0 && count < items.length;
+    if (!shuffle && !isDraw) return [...items];
+    const shuffled = seededShuffle(items, seed);
+    if (!isDraw) return shuffled;
+    const drawn = shuffled.slice(0, count);
+    return shuffle ? drawn : items.filter((item) => drawn.includes(item));
+}
@@ -0,0 +1,146 @@
+/**
+ * Runs `type: sql` questions against an in-memory SQLite database (sql.js).
+ * Everything except `loadSqlJs` takes the initialized sql.js module as an argument,
+ * so the browser and `scripts/compile-questions.js` (Node) share the same execution rules.
+ */
+
+let sqlJsPromise = null;
+
+/**
+ * Loads sql.js and its WASM binary in the browser (once per page).
+ * @returns {Promise<import('sql.js').SqlJsStatic>}
+ */
+export function loadSqlJs() {
+    if (!sqlJsPromise) {
+        sqlJsPromise = Promise.all([
+            import('sql.js'),
+            import('sql.js/dist/sql-wasm-browser.wasm?url'),
+        ]).then(([{ default: initSqlJs }, { default: wasmUrl }]) => initSqlJs({ locateFile: () => wasmUrl }));
+        sqlJsPromise.catch(() => {
+            sqlJsPromise = null;
+        });
+    }
+    return sqlJsPromise;
+}
+
+/** Removes a surrounding ```sql fence (authors may write either fenced or plain SQL). */
+export function stripSqlFence(text) {
+    const trimmed = String(text || '').trim();
+    const m = trimmed.match(/^```[a-zA-Z]*\n([\s\S]*?)\n?```$/);
+    return (m ? m[1] : trimmed).trim();
+}
+
+/** Rows a query may return before it is stopped (e.g. an unbounded recursive CTE). */
+export const MAX_RESULT_ROWS = 10000;
+
+/**
+ * Executes `query` on a fresh database built from the question's schema and seed rows.
+ * Returns the last result set the query produced.
+ * @param {import('sql.js').SqlJsStatic} SQL
+ * @param {{ schema: string, seed?: string }} question
+ * @param {string} query
+ * @param {{ maxRows?: number }} [options]
+ * @returns {{ columns: string[], rows: Array<Array<*>> }}
+ * @throws {Error} SQLite error, when the query returns no result set, or when a statement returns more than `maxRows` rows
+ */
+export function runSqlQuery(SQL, question, query, { maxRows = MAX_RESULT_ROWS } = {}) {
+    const db = new SQL.Database();
+    try {
+        db.run(question.schema);
+        if (question.seed) {
+            db.run(question.seed);
+        }
+        // Like db.exec, but stepping row by row so a runaway statement stops at maxRows
+        let last = null;
+        for (const statement of db.iterateStatements(stripSqlFence(query))) {
+            let rows = null;
+            while (statement.step()) {
+                rows = rows || [];
+                if (rows.length === maxRows) {
+                    throw new Error(`Query returned more than ${maxRows} rows`);
+                }
+                rows.push(statement.get());
+            }
+            if (rows) {
+                last = { columns: statement.getColumnNames(), rows };
+            }
+        }
+        if (!last) {
+            throw new Error('Query did not return a result set (use a SELECT statement)');
+        }
+        return last;
+    } finally {
+        db.close();
+    }
+}
+
+/** Makes cell values comparable: integral floats match integers, other floats are rounded. */
+function normalizeCell(value) {
+    if (typeof value === 'number' && !Number.isInteger(value)) {
+        return Number(value.toFixed(9));
+    }
+    if (value instanceof Uint8Array) {
+        return Array.from(value).join(',');
+    }
+    return value;
+}
+
+/**
+ * Compares two result sets by column count and cell values (column names are ignored so aliases don't matter).
+ * @param {{ columns: string[], rows: Array<Array<*>> }} expected
+ * @param {{ columns: string[], rows: Array<Array<*>> }} actual
+ * @param {{ orderSensitive?: boolean }} [options]
+ * @returns {{ matches: boolean, reason?: string }}
+ */
+export function compareResultSets(expected, actual, options = {}) {
+    if (expected.columns.length !== actual.columns.length) {
+        return {
+            matches: false,
+            reason: `Your query returned ${actual.columns.length} column(s); expected ${expected.columns.length}.`,
+        };
+    }
+    if (expected.rows.length !== actual.rows.length) {
+        return {
+            matches: false,
+            reason: `Your query returned ${actual.rows.length} row(s); expected ${expected.rows.length}.`,
+        };
+    }
+    const serialize = (rows) => rows.map((row) => JSON.stringify(row.map(normalizeCell)));
+    const expectedRows = serialize(expected.rows);
+    const actualRows = serialize(actual.rows);
+    if (!options.orderSensitive) {
+        expectedRows.sort();
+        actualRows.sort();
+    }
+    const firstDiff = expectedRows.findIndex((row, i) => row !== actualRows[i]);
+    if (firstDiff === -1) {
+        return { matches: true };
+    }
+    return {
+        matches: false,
+        reason: options.orderSensitive
+            ? `Row ${firstDiff + 1} differs from the expected result (row order matters for this question).`
+            : 'The rows returned differ from the expected result.',
+    };
+}
+
+/**
+ * Grades a learner's query by comparing its result set with the reference query's.
+ * @param {import('sql.js').SqlJsStatic} SQL
+ * @param {{ schema: string, seed?: string, expectedAnswer: string, orderSensitive?: boolean }} question
+ * @param {string} userQuery
+ * @returns {{ isCorrect: boolean, confidenceScore: number, nextHint?: string }}
+ */
+export function gradeSqlAnswer(SQL, question, userQuery) {
+    const expected = runSqlQuery(SQL, question, question.expectedAnswer);
+    let actual;
+    try {
+        actual = runSqlQuery(SQL, question, userQuery);
+    } catch (error) {
+        return { isCorrect: false, confidenceScore: 1, nextHint: `Query error: ${error.message}` };
+    }
+    const { matches, reason } = compareResultSets(expected, actual, { orderSensitive: question.orderSensitive });
+    return matches
+        ? { isCorrect: true, confidenceScore: 1 }
+        : { isCorrect: false, confidenceScore: 1, nextHint: reason };
+}
@@ -0,0 +1,88 @@
+/**
+ * Grades `type: sql` answers in a Web Worker (sqlWorker.js), so a runaway query cannot freeze the page:
+ * a worker still running after the time limit is terminated and replaced. Without Worker support
+ * (e.g. Node tests) answers are graded on the calling thread, bounded only by runSqlQuery's row cap.
+ */
+import { gradeSqlAnswer, loadSqlJs } from './sqlRunner.js';
+
+/** How long a learner's query may run before the worker is terminated. */
+export const SQL_TIMEOUT_MS = 5000;
+
+let worker = null;
+let nextRequestId = 0;
+/** @type {Map<number, { onRunning: () => void, resolve: (result: Object) => void, reject: (error: Error) => void }>} */
+const pending = new Map();
+
+function getWorker() {
+    if (!worker) {
+        worker = new Worker(new URL('./sqlWorker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = ({ data }) => {
+            const request = pending.get(data.id);
+            if (!request) return;
+            if (data.running) {
+                request.onRunning();
+                return;
+            }
+            pending.delete(data.id);
+            if (data.error) {
+                request.reject(new Error(data.error));
+            } else {
+                request.resolve(data.result);
+            }
+        };
+        worker.onerror = (event) => {
+            resetWorker(new Error(event.message || 'SQL worker failed'));
+        };
+    }
+    return worker;
+}
+
+/** Terminates the worker and rejects its outstanding requests. */
+function resetWorker(error) {
+    worker?.terminate();
+    worker = null;
+    for (const request of pending.values()) {
+        request.reject(error);
+    }
+    pending.clear();
+}
+
+/**
+ * Runs the learner's query and the reference query like sqlRunner.gradeSqlAnswer, in a worker.
+ * The time limit starts once sql.js has loaded in the worker, so a slow WASM download does not count.
+ * @param {{ schema: string, seed?: string, expectedAnswer: string, orderSensitive?: boolean }} question
+ * @param {string} userQuery
+ * @param {{ timeoutMs?: number }} [options]
+ * @returns {Promise<{ isCorrect: boolean, confidenceScore: number, nextHint?: string }>}
+ * @throws {Error} When sql.js cannot be loaded or the worker fails
+ */
+export async function gradeSqlAnswerSandboxed(question, userQuery, { timeoutMs = SQL_TIMEOUT_MS } = {}) {
+    if (typeof Worker === 'undefined') {
+        return gradeSqlAnswer(await loadSqlJs(), question, userQuery);
+    }
+    const { schema, seed, expectedAnswer, orderSensitive } = question;
+    const id = ++nextRequestId;
+    let timer = null;
+    try {
+        return await new Promise((resolve, reject) => {
+            pending.set(id, {
+                onRunning: () => {
+                    timer = setTimeout(() => {
+                        pending.delete(id);
+                        resetWorker(new Error('SQL worker restarted after a timeout'));
+                        resolve({
+                            isCorrect: false,
+                            confidenceScore: 1,
+                            nextHint: `Your query ran for more than ${timeoutMs / 1000} seconds and was stopped.`,
+                        });
+                    }, timeoutMs);
+                },
+                resolve,
+                reject,
+            });
+            getWorker().postMessage({ id, question: { schema, seed, expectedAnswer, orderSensitive }, userQuery });
+        });
+    } finally {
+        clearTimeout(timer);
+    }
+}
@@ -0,0 +1,16 @@
+/**
+ * Web Worker that grades `type: sql` answers off the main thread (see sqlSandbox.js).
+ * Receives `{ id, question, userQuery }`, posts `{ id, running: true }` once sql.js is loaded,
+ * then `{ id, result }` or `{ id, error }`.
+ */
+import { gradeSqlAnswer, loadSqlJs } from './sqlRunner.js';
+
+self.onmessage = async ({ data: { id, question, userQuery } }) => {
+    try {
+        const SQL = await loadSqlJs();
+        self.postMessage({ id, running: true });
+        self.postMessage({ id, result: gradeSqlAnswer(SQL, question, userQuery) });
+    } catch (error) {
+        self.postMessage({ id, error: error?.message || String(error) });
+    }
+};
@@ -0,0 +1,117 @@
+/**
+ * Service worker: runs the quiz offline.
+ *
+ * - The built app (HTML, JS, CSS, wasm) is precached at install. The build fills in BUILD_VERSION and
+ *   PRECACHE_URLS (serviceWorkerPrecachePlugin in vite.config.js); in `vite dev` the list is empty and
+ *   the worker is not registered.
+ * - questions.json and decks.json are served stale-while-revalidate; when the network copy differs from
+ *   the cached one, open pages get a `content-updated` message.
+ * - Page navigations (/, /question/:slug, /label/:labels, /deck/:slug) are answered with the precached HTML.
+ * - A new build waits until a page posts `skip-waiting` (the "update available" prompt), then takes over.
+ */
+
+const BUILD_VERSION = '__SW_BUILD_VERSION__';
+const PRECACHE_URLS = [/* __SW_PRECACHE_URLS__ */];
+
+/** Question bank files, refreshed in the background on every request. */
+const CONTENT_URLS = ['/questions.json', '/decks.json'];
+
+/** Client-side routes served by index.html (see questionRouteFallbackPlugin and vercel.json). */
+const APP_ROUTE = /^\/((question|label|deck)\/[^/]+\/?|index\.html)?$/;
+const SUBMIT_ROUTE = /^\/submit-question(\.html)?$/;
+
+const PRECACHE = `precache-${BUILD_VERSION}`;
+const CONTENT_CACHE = 'content';
+/** Cross-origin files the app needs offline (Google Fonts). */
+const RUNTIME_CACHE = 'runtime';
+const RUNTIME_ORIGINS = ['https://fonts.googleapis.com', 'https://fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        Promise.all([
+            caches.open(PRECACHE).then((cache) => cache.addAll(PRECACHE_URLS)),
+            // Have the question bank offline from the first visit, without replacing a newer cached copy
+            caches.open(CONTENT_CACHE).then(async (cache) => {
+                for (const url of CONTENT_URLS) {
+                    if (!(await cache.match(url))) {
+                        await cache.add(url).catch(() => {});
+                    }
+                }
+            }),
+        ])
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((names) => Promise.all(
+                names.filter((name) => name.startsWith('precache-') && name !== PRECACHE).map((name) => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach((client) => client.postMessage(message));
+}
+
+/** Answers from the cache at once and refreshes it from the network; tells pages when the content changed. */
+async function staleWhileRevalidate(event, url) {
+    const cache = await caches.open(CONTENT_CACHE);
+    const cached = await cache.match(url);
+    const refresh = fetch(url, { cache: 'no-cache' }).then(async (response) => {
+        if (!response.ok) return response;
+        const changed = cached && (await cached.clone().text()) !== (await response.clone().text());
+        await cache.put(url, response.clone());
+        if (changed) {
+            await notifyClients({ type: 'content-updated', url });
+        }
+        return response;
+    });
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+async function cacheFirst(request, cacheName) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (cacheName && (response.ok || response.type === 'opaque')) {
+        const cache = await caches.open(cacheName);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        if (CONTENT_URLS.includes(url.pathname)) {
+            event.respondWith(staleWhileRevalidate(event, url.pathname));
+        } else if (request.mode === 'navigate' && (APP_ROUTE.test(url.pathname) || SUBMIT_ROUTE.test(url.pathname))) {
+            const page = SUBMIT_ROUTE.test(url.pathname) ? '/submit-question.html' : '/index.html';
+            event.respondWith(caches.match(page, { cacheName: PRECACHE }).then((cached) => cached || fetch(request)));
+        } else if (PRECACHE_URLS.includes(url.pathname)) {
+            event.respondWith(cacheFirst(request));
+        }
+        // Anything else (e.g. the API in development) goes to the network
+        return;
+    }
+    if (RUNTIME_ORIGINS.includes(url.origin)) {
+        event.respondWith(cacheFirst(request, RUNTIME_CACHE));
+    }
+});
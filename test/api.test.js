@@ -0,0 +1,155 @@
+/**
+ * Node built-in end-to-end tests for the API server (server/api/index.js) with the offline mock
+ * LLM provider (server/lib/llmProviders.js). They need the server's dependencies (`npm install --prefix server`,
+ * done by the Tests workflow); without them the tests are skipped with a warning, and fail under CI.
+ */
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import os from 'node:os';
+import path from 'node:path';
+import test, { after, before } from 'node:test';
+
+function serverDependenciesInstalled() {
+  try {
+    createRequire(new URL('../server/api/index.js', import.meta.url)).resolve('express');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const skip = !serverDependenciesInstalled() && 'server dependencies are not installed (npm install --prefix server)';
+if (skip) {
+  console.warn(`Skipping the API end-to-end tests: ${skip}`);
+}
+
+test('the API end-to-end tests run under CI', () => {
+  assert.ok(!skip || !process.env.CI, `The API end-to-end tests cannot run under CI: ${skip}`);
+});
+let dir;
+let server;
+let baseUrl;
+
+before(async () => {
+  if (skip) return;
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'quiz-api-'));
+  const bank = path.join(dir, 'questions.json');
+  await fs.writeFile(bank, JSON.stringify([
+    { id: 1, version: 2, type: 'subjective', question: 'What is ACID?', expectedAnswer: 'Atomicity…', keywords: ['atomic', 'durable'], minKeywords: 2, maxLength: 100 },
+    { id: 2, version: 1, type: 'objective', question: 'Pick one', options: ['a', 'b'], expectedAnswer: 'a' },
+  ]));
+  Object.assign(process.env, {
+    LLM_PROVIDER: 'mock',
+    QUESTION_BANK_PATH: bank,
+    PROGRESS_STORE_DIR: path.join(dir, 'progress'),
+    EVALUATION_CACHE_DIR: path.join(dir, 'evaluation-cache'),
+    RATE_LIMIT_ASK_IP: '3/minute',
+    RATE_LIMIT_EVALUATE_LEARNER: '2/minute',
+  });
+  const { default: app } = await import('../server/api/index.js');
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  if (skip) return;
+  await new Promise((resolve) => server.close(resolve));
+  await fs.rm(dir, { recursive: true });
+});
+
+test('the server refuses to start without a readable question bank', { skip }, async (t) => {
+  const bank = process.env.QUESTION_BANK_PATH;
+  t.after(() => { process.env.QUESTION_BANK_PATH = bank; });
+  process.env.QUESTION_BANK_PATH = path.join(dir, 'missing.json');
+  // A query string loads a second copy of the module, which reads the settings again
+  await assert.rejects(import('../server/api/index.js?missing-bank'), /Cannot load the question bank at .*missing\.json/);
+});
+
+/** Events of a text/event-stream body as [event, data] pairs. */
+const readEvents = async (response) => (await response.text())
+  .split('\n\n')
+  .filter(Boolean)
+  .map((block) => [block.match(/^event: (.*)$/m)[1], JSON.parse(block.match(/^data: (.*)$/m)[1])]);
+
+const post = (route, body, headers = {}) => fetch(`${baseUrl}${route}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: JSON.stringify(body),
+});
+
+test('/evaluate grades a bank question against its keywords', { skip }, async () => {
+  const response = await post('/evaluate', { questionId: 1, version: 2, answer: 'Writes are atomic' });
+  assert.equal(response.status, 200);
+  const result = await response.json();
+  assert.equal(result.isCorrect, false);
+  assert.equal(result.grade, 5);
+  assert.deepEqual(result.coveredConcepts, ['atomic']);
+  assert.deepEqual(result.missingConcepts, ['durable']);
+  assert.equal(result.questionVersion, 2);
+});
+
+test('/evaluate reuses the cached grade for a resubmitted answer', { skip }, async () => {
+  const first = await post('/evaluate', { questionId: 1, answer: 'Atomic and durable' });
+  assert.equal(first.headers.get('X-Evaluation-Cache'), 'miss');
+  const again = await post('/evaluate', { questionId: 1, answer: '  atomic AND durable ' });
+  assert.equal(again.headers.get('X-Evaluation-Cache'), 'hit');
+  assert.equal((await again.json()).grade, (await first.json()).grade);
+  const freeText = await post('/evaluate', { question: 'What is ACID?', answer: 'Atomic and durable' });
+  assert.equal(freeText.headers.get('X-Evaluation-Cache'), 'bypass');
+});
+
+test('/evaluate/stream sends the evaluation text as it is generated, then the JSON contract', { skip }, async () => {
+  const response = await post('/evaluate/stream', { questionId: 1, answer: 'It is durable' });
+  assert.match(response.headers.get('Content-Type'), /^text\/event-stream/);
+  const events = await readEvents(response);
+  const partials = events.filter(([event]) => event === 'partial').map(([, data]) => data.fullEvaluation);
+  const [event, result] = events.at(-1);
+  assert.equal(event, 'result');
+  assert.ok(partials.length > 1);
+  assert.equal(partials.at(-1), result.fullEvaluation);
+  assert.deepEqual(result.coveredConcepts, ['durable']);
+  assert.equal((await post('/evaluate/stream', { questionId: 9, answer: 'x' })).status, 404);
+});
+
+test('/evaluate rejects unknown and non-subjective questions', { skip }, async () => {
+  assert.equal((await post('/evaluate', { questionId: 9, answer: 'x' })).status, 404);
+  assert.equal((await post('/evaluate', { questionId: 2, answer: 'a' })).status, 400);
+});
+
+test('/ask returns the canned answer', { skip }, async () => {
+  const result = await (await post('/ask', { question: 'What is a join?' })).json();
+  assert.match(result.answer, /What is a join\?/);
+});
+
+test('/ask/stream streams the canned answer', { skip }, async () => {
+  const events = await readEvents(await post('/ask/stream', { question: 'What is a join?' }));
+  assert.deepEqual(events.at(-1), ['result', { question: 'What is a join?', answer: events.at(-2)[1].answer }]);
+});
+
+test('/evaluate rejects answers over the question\'s maxLength', { skip }, async () => {
+  const response = await post('/evaluate', { questionId: 1, answer: 'atomic '.repeat(20) });
+  assert.equal(response.status, 413);
+  assert.equal((await response.json()).maxLength, 100);
+});
+
+test('/ask answers 429 with Retry-After over the per-IP limit', { skip }, async () => {
+  assert.equal((await post('/ask', { question: 'Second' })).status, 200);
+  const limited = await post('/ask', { question: 'Third' });
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get('Retry-After')) > 0);
+});
+
+test('/evaluate limits per learner only with the learner\'s sync token', { skip }, async () => {
+  const { learnerId, token } = await (await post('/progress', {})).json();
+  const evaluate = (headers) => post('/evaluate', { questionId: 1, answer: `atomic ${Math.random()}` }, headers);
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await evaluate({ 'X-Learner-Id': learnerId, Authorization: 'Bearer forged' })).status, 200);
+  }
+  const credentials = { 'X-Learner-Id': learnerId, Authorization: `Bearer ${token}` };
+  assert.equal((await evaluate(credentials)).status, 200);
+  assert.equal((await evaluate(credentials)).status, 200);
+  assert.equal((await evaluate(credentials)).status, 429);
+  assert.equal((await evaluate({ 'X-Learner-Id': learnerId })).status, 200);
+});
@@ -6,10 +6,16 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import test from 'node:test';
 import {
+  compileDecks,
   compileQuestions,
+  fileToDeck,
   fileToQuestion,
+  parseClozeBlanks,
+  parseMatchingPairs,
+  parseMultiSelectExpectedAnswers,
   parseObjectiveExpectedAnswerLine,
   parseObjectiveOptions,
+  validateSqlQuestions,
 } from '../scripts/compile-questions.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -22,6 +28,23 @@ test('compiles a valid fixture project', async () => {
   assert.equal(qs[0].expectedAnswer, 'Yes');
 });
 
+test('compiles decks and rejects unknown question slugs', async () => {
+  const root = path.join(__dirname, 'fixtures', 'compile-happy');
+  const decks = await compileDecks(await compileQuestions(root), root);
+  assert.deepEqual(decks, [
+    { slug: 'happy-deck', title: 'Happy deck', description: 'Fixture deck.', questions: ['fixture-happy-compile'] },
+  ]);
+  await assert.rejects(() => compileDecks([], root), /unknown question slug\(s\): fixture-happy-compile/);
+});
+
+test('fileToDeck: requires title, description and one ## Questions list without repeats', () => {
+  const raw = (fm, body) => `---\n${fm}\n---\n\n${body}\n`;
+  assert.throws(() => fileToDeck('d.md', raw('slug: d', 'Desc\n\n## Questions\n\n- a')), /title required/);
+  assert.throws(() => fileToDeck('d.md', raw('slug: d\ntitle: D', '## Questions\n\n- a')), /description required/);
+  assert.throws(() => fileToDeck('d.md', raw('slug: d\ntitle: D', 'Desc\n\n## Questions\n\n- a\n- a')), /listed twice/);
+  assert.throws(() => fileToDeck('d.md', raw('slug: d\ntitle: D', 'Desc\n\n## Notes\n\n- a')), /single ## Questions/);
+});
+
 test('fails on duplicate id across files', async () => {
   const root = path.join(__dirname, 'fixtures', 'compile-dup');
   await assert.rejects(() => compileQuestions(root), /Duplicate id/);
@@ -81,3 +104,274 @@ A. Wrong text
 `;
   assert.throws(() => fileToQuestion('', 'bad.md', raw), /text after the letter must match/);
 });
+
+test('parseMultiSelectExpectedAnswers: several - [x] items, unchecked ignored', () => {
+  const opts = ['Alpha', 'Beta', 'Gamma'];
+  const raw = `- [x] A. Alpha
+- [ ] B. Beta
+- [x] Gamma`;
+  assert.deepEqual(parseMultiSelectExpectedAnswers(raw, opts), [0, 2]);
+  assert.throws(() => parseMultiSelectExpectedAnswers('- [x] A. Alpha\n- [x] A. Alpha', opts), /more than once/);
+});
+
+test('compiles multiselect with array expectedAnswer and scoring', () => {
+  const raw = `---
+id: 2
+slug: multi
+type: multiselect
+version: 1
+labels: []
+scoring: partial
+---
+
+Pick all aggregates.
+
+## Options
+
+- [ ] A. COUNT
+- [ ] B. WHERE
+- [ ] C. SUM
+
+## Expected answer
+
+- [x] A. COUNT
+- [x] C. SUM
+
+## Hints
+
+- a
+- b
+`;
+  const q = fileToQuestion('', 'multi.md', raw);
+  assert.deepEqual(q.options, ['COUNT', 'WHERE', 'SUM']);
+  assert.deepEqual(q.expectedAnswer, ['COUNT', 'SUM']);
+  assert.equal(q.scoring, 'partial');
+  assert.throws(
+    () => fileToQuestion('', 'multi.md', raw.replace('scoring: partial', 'scoring: lenient')),
+    /scoring must be one of/
+  );
+});
+
+const sqlQuestionMd = (reference) => `---
+id: 3
+slug: sql-run
+type: sql
+version: 1
+labels: [sql]
+---
+
+Count orders per customer.
+
+## Schema
+
+\`\`\`sql
+CREATE TABLE orders (order_id INTEGER, customer_id INTEGER);
+\`\`\`
+
+## Seed data
+
+\`\`\`sql
+INSERT INTO orders VALUES (1, 10), (2, 10), (3, 20);
+\`\`\`
+
+## Expected answer
+
+\`\`\`sql
+${reference}
+\`\`\`
+
+## Hints
+
+- a
+- b
+`;
+
+test('compiles sql question and runs the reference query against seed data', async () => {
+  const q = fileToQuestion('', 'sql-run.md', sqlQuestionMd('SELECT customer_id, COUNT(*) FROM orders GROUP BY customer_id'));
+  assert.equal(q.schema, 'CREATE TABLE orders (order_id INTEGER, customer_id INTEGER);');
+  assert.equal(q.expectedAnswer, 'SELECT customer_id, COUNT(*) FROM orders GROUP BY customer_id');
+  assert.equal(q.orderSensitive, false);
+  await validateSqlQuestions([{ rel: 'sql-run.md', q }]);
+
+  const broken = fileToQuestion('', 'sql-run.md', sqlQuestionMd('SELECT missing_column FROM orders'));
+  await assert.rejects(() => validateSqlQuestions([{ rel: 'sql-run.md', q: broken }]), /reference query failed/);
+});
+
+test('compiles numeric question and validates tolerance fields', () => {
+  const raw = (extra) => `---
+id: 4
+slug: numeric
+type: numeric
+version: 1
+labels: []
+expectedValue: 1.96
+${extra}
+---
+
+Critical z value for a two-sided 95% interval?
+
+## Expected answer
+
+About 1.96 standard deviations.
+
+## Hints
+
+- a
+- b
+`;
+  const q = fileToQuestion('', 'numeric.md', raw('tolerance: 0.05\nunits: σ'));
+  assert.equal(q.expectedValue, 1.96);
+  assert.equal(q.tolerance, 0.05);
+  assert.deepEqual(q.units, ['σ']);
+  assert.throws(
+    () => fileToQuestion('', 'numeric.md', raw('tolerance: 0.05\nrelativeTolerance: 0.1')),
+    /either tolerance/
+  );
+  assert.throws(() => fileToQuestion('', 'numeric.md', raw('tolerance: -1')), /tolerance must be a number >= 0/);
+});
+
+test('compiles ordering question from ## Options in correct order', () => {
+  const raw = (extra = '') => `---
+id: 5
+slug: ordering
+type: ordering
+version: 1
+labels: []
+---
+
+Order the ELT stages.
+
+## Options
+
+1. Extract
+2. Load
+3. Transform
+${extra}
+## Hints
+
+- a
+- b
+`;
+  const q = fileToQuestion('', 'ordering.md', raw());
+  assert.deepEqual(q.options, ['Extract', 'Load', 'Transform']);
+  assert.deepEqual(q.expectedAnswer, q.options);
+  assert.throws(
+    () => fileToQuestion('', 'ordering.md', raw('\n## Expected answer\n\nExtract first.\n')),
+    /remove ## Expected answer/
+  );
+});
+
+test('parseClozeBlanks: placeholders, alternatives, escaped pipes and regex validation', () => {
+  const { prompt, blanks } = parseClozeBlanks('`SELECT {{COUNT(*) | /count\\(1\\)/i}} FROM t GROUP BY {{id}}`, {{a \\|\\| b}}');
+  assert.equal(prompt, '`SELECT {{0}} FROM t GROUP BY {{1}}`, {{2}}');
+  assert.deepEqual(blanks, [
+    { accept: ['COUNT(*)', '/count\\(1\\)/i'] },
+    { accept: ['id'] },
+    { accept: ['a || b'] },
+  ]);
+  assert.throws(() => parseClozeBlanks('no blanks'), /at least one/);
+  assert.throws(() => parseClozeBlanks('{{/(/}}'), /invalid regex|plain-text/);
+  assert.throws(() => parseClozeBlanks('{{/x/i | x}}'), /plain-text answer/);
+});
+
+test('compiles cloze question with expectedAnswer from first alternatives', () => {
+  const raw = `---
+id: 6
+slug: cloze
+type: cloze
+version: 1
+labels: [sql]
+---
+
+\`SELECT customer_id, {{COUNT(*) | COUNT(1)}} FROM orders GROUP BY {{customer_id}}\`
+
+## Hints
+
+- a
+- b
+`;
+  const q = fileToQuestion('', 'cloze.md', raw);
+  assert.equal(q.question, '`SELECT customer_id, {{0}} FROM orders GROUP BY {{1}}`');
+  assert.deepEqual(q.expectedAnswer, ['COUNT(*)', 'customer_id']);
+  assert.equal(q.blanks.length, 2);
+});
+
+test('parseMatchingPairs: two-column table with header', () => {
+  const raw = `| CAP letter | Guarantee |
+|---|---|
+| C | Every read sees the latest write |
+| A | Every request gets a response |`;
+  assert.deepEqual(parseMatchingPairs(raw), {
+    columns: ['CAP letter', 'Guarantee'],
+    pairs: [
+      { left: 'C', right: 'Every read sees the latest write' },
+      { left: 'A', right: 'Every request gets a response' },
+    ],
+  });
+  assert.throws(() => parseMatchingPairs('- C\n- A'), /Markdown table/);
+  assert.throws(() => parseMatchingPairs('| a | b |\n|---|---|\n| x | y |\n| z | y |'), /right column items must be unique/);
+});
+
+test('timeLimit frontmatter: optional positive integer seconds', () => {
+  const raw = (extra = '') => `---
+id: 9
+slug: timed
+type: subjective
+version: 1
+labels: []
+keywords: [scope]
+minKeywords: 1
+maxLength: 500
+${extra}
+---
+
+Explain closures.
+
+## Expected answer
+
+A function plus its lexical scope.
+
+## Hints
+
+- a
+- b
+`;
+  assert.equal(fileToQuestion('', 'timed.md', raw()).timeLimit, undefined);
+  assert.equal(fileToQuestion('', 'timed.md', raw('timeLimit: 90')).timeLimit, 90);
+  assert.throws(() => fileToQuestion('', 'timed.md', raw('timeLimit: 0')), /timeLimit must be an integer/);
+  assert.throws(() => fileToQuestion('', 'timed.md', raw('timeLimit: 1.5')), /timeLimit must be an integer/);
+});
+
+test('hintCosts frontmatter: one weight between 0 and 1 per hint', () => {
+  const raw = (extra = '') => `---
+id: 10
+slug: hinted
+type: objective
+version: 1
+labels: []
+${extra}
+---
+
+Pick one.
+
+## Options
+
+A. Alpha
+B. Beta
+
+## Expected answer
+
+A. Alpha
+
+## Hints
+
+- first
+- second
+- third
+`;
+  assert.equal(fileToQuestion('', 'hinted.md', raw()).hintCosts, undefined);
+  assert.deepEqual(fileToQuestion('', 'hinted.md', raw('hintCosts: [0.05, 0.1, 0.25]')).hintCosts, [0.05, 0.1, 0.25]);
+  assert.equal(fileToQuestion('', 'hinted.md', raw()).hints.length, 3);
+  assert.throws(() => fileToQuestion('', 'hinted.md', raw('hintCosts: [0.1, 0.1]')), /one number between 0 and 1 per hint \(3 hints\)/);
+  assert.throws(() => fileToQuestion('', 'hinted.md', raw('hintCosts: [0.1, 0.1, 2]')), /hintCosts/);
+});
@@ -0,0 +1,20 @@
+/**
+ * Node built-in tests for /deck/:slug route parsing and deck question selection.
+ */
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { getDeckScope, parseDeckSlugFromPathname, selectDeckQuestions } from '../src/js/deckRoute.js';
+
+test('parseDeckSlugFromPathname: deck routes only', () => {
+  assert.equal(parseDeckSlugFromPathname('/deck/sql-interview-warm-up'), 'sql-interview-warm-up');
+  assert.equal(parseDeckSlugFromPathname('/deck/sql-interview-warm-up/'), 'sql-interview-warm-up');
+  assert.equal(parseDeckSlugFromPathname('/question/sql-interview-warm-up'), null);
+  assert.equal(parseDeckSlugFromPathname('/'), null);
+});
+
+test('selectDeckQuestions: deck order, unknown slugs skipped', () => {
+  const questions = [{ slug: 'a' }, { slug: 'b' }, { slug: 'c' }];
+  const deck = { slug: 'd', questions: ['c', 'missing', 'a'] };
+  assert.deepEqual(selectDeckQuestions(questions, deck).map((q) => q.slug), ['c', 'a']);
+  assert.equal(getDeckScope('d'), 'deck:d');
+});
@@ -0,0 +1,43 @@
+/**
+ * Node built-in tests for the /evaluate result cache (server/lib/evaluationCache.js).
+ */
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import { createEvaluationCache, evaluationCacheKey } from '../server/lib/evaluationCache.js';
+
+const key = (answer, overrides = {}) => evaluationCacheKey({ questionId: 1, questionVersion: 2, answer, model: 'openai/gpt-4o-mini', ...overrides });
+
+test('evaluationCacheKey ignores case and spacing but not the question version or model', () => {
+  assert.equal(key('Rows are  Atomic\n'), key('rows are atomic'));
+  assert.notEqual(key('rows are atomic'), key('rows are durable'));
+  assert.notEqual(key('a', { questionVersion: 3 }), key('a'));
+  assert.notEqual(key('a', { model: 'mock/mock' }), key('a'));
+});
+
+test('createEvaluationCache expires entries after the TTL and evicts the oldest beyond the limit', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'evaluation-cache-'));
+  let clock = 1000;
+  const cache = createEvaluationCache(dir, { ttlMs: 100, maxEntries: 2, now: () => clock });
+
+  await cache.set(key('a'), { grade: 1 });
+  assert.deepEqual(await cache.get(key('a')), { grade: 1 });
+  clock += 100;
+  assert.equal(await cache.get(key('a')), null);
+
+  await cache.set(key('a'), { grade: 1 });
+  clock++;
+  await cache.set(key('b'), { grade: 2 });
+  clock++;
+  await cache.set(key('c'), { grade: 3 });
+  assert.equal(await cache.get(key('a')), null);
+  assert.deepEqual(await cache.get(key('c')), { grade: 3 });
+  assert.equal((await fs.readdir(dir)).length, 2);
+
+  const reopened = createEvaluationCache(dir, { ttlMs: 100, maxEntries: 1, now: () => clock });
+  await reopened.set(key('d'), { grade: 4 });
+  assert.deepEqual(await fs.readdir(dir), [`${key('d')}.json`]);
+  await fs.rm(dir, { recursive: true });
+});
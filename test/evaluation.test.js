@@ -0,0 +1,252 @@
+/**
+ * Node built-in tests for structured answer evaluation (server/lib/evaluation.js) and the
+ * server-side question bank it takes rubrics from (server/lib/questionBank.js), graded with the mock
+ * LLM provider (server/lib/llmProviders.js).
+ */
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import {
+  EVALUATION_CONTRACT_VERSION,
+  EVALUATION_RESPONSE_FORMAT,
+  EVALUATION_SCHEMA,
+  EvaluationFormatError,
+  parseEvaluation,
+  requestEvaluation,
+  toEvaluationResponse,
+  validateEvaluation,
+} from '../server/lib/evaluation.js';
+import { createQuestionBank, getRubric } from '../server/lib/questionBank.js';
+import { createLLMProvider, LLMConfigError } from '../server/lib/llmProviders.js';
+
+const valid = {
+  grade: 7,
+  isCorrect: true,
+  hint: 'Mention durability.',
+  evaluation: 'Covers atomicity and isolation.',
+  confidence: 0.8,
+  criteria: [{ criterion: 'Atomicity', met: true, note: 'Explained' }],
+  coveredConcepts: [],
+  missingConcepts: [],
+};
+
+const rubric = { expectedAnswer: 'Atomicity, consistency, isolation, durability', keywords: ['atomic', 'Durable'], minKeywords: 1 };
+
+test('parseEvaluation accepts plain or fenced JSON and reports problems', () => {
+  assert.deepEqual(parseEvaluation(JSON.stringify(valid)).value, valid);
+  assert.deepEqual(parseEvaluation('```json\n' + JSON.stringify(valid) + '\n```').value, valid);
+  assert.match(parseEvaluation('Grade: 7').problems[0], /not valid JSON/);
+  assert.deepEqual(validateEvaluation({ ...valid, grade: 11, confidence: 2, criteria: [{ criterion: 'x' }] }), [
+    'grade must be an integer from 0 to 10',
+    'confidence must be a number from 0 to 1',
+    'criteria[0] must have a string criterion, a boolean met and a string note',
+  ]);
+});
+
+test('validateEvaluation requires every rubric keyword to be covered or missing exactly once', () => {
+  assert.deepEqual(validateEvaluation({ ...valid, coveredConcepts: ['Atomic'], missingConcepts: ['durable'] }, rubric), []);
+  assert.deepEqual(validateEvaluation({ ...valid, coveredConcepts: ['atomic', 'acid'], missingConcepts: ['atomic'] }, rubric), [
+    'these are not key concepts: acid',
+    'these key concepts are in neither list: durable',
+    'these key concepts are listed more than once: atomic',
+  ]);
+  assert.deepEqual(validateEvaluation({ ...valid, missingConcepts: undefined }), ['missingConcepts must be a list of strings']);
+});
+
+test('requestEvaluation sends the rubric in the prompt', async () => {
+  let prompt;
+  const chat = async (messages) => {
+    prompt = messages[1].content;
+    return JSON.stringify({ ...valid, coveredConcepts: ['atomic'], missingConcepts: ['Durable'] });
+  };
+  await requestEvaluation(chat, 'What is ACID?', 'Atomic...', { rubric });
+  assert.match(prompt, /Atomicity, consistency, isolation, durability/);
+  assert.match(prompt, /at least 1 of them\): atomic, Durable/);
+});
+
+test('requestEvaluation asks for the schema as a strict response_format', async () => {
+  let context;
+  await requestEvaluation(async (messages, c) => {
+    context = c;
+    return JSON.stringify(valid);
+  }, 'What is ACID?', 'Atomic...');
+  assert.deepEqual(context.responseFormat, {
+    type: 'json_schema',
+    json_schema: { name: 'answer_evaluation', strict: true, schema: EVALUATION_SCHEMA },
+  });
+  assert.equal(context.responseFormat, EVALUATION_RESPONSE_FORMAT);
+});
+
+test('the openai-compatible provider sends response_format, and resends a request without it only when it is rejected', async () => {
+  const bodies = [];
+  const rejections = [
+    null,
+    '{"error":{"message":"Invalid parameter: \'response_format\' of type \'json_schema\' is not supported"}}',
+    null,
+    '{"error":{"message":"This model\'s maximum context length is 8192 tokens"}}',
+    null,
+  ];
+  const fetchImpl = async (url, options) => {
+    const body = JSON.parse(options.body);
+    bodies.push(body);
+    const rejection = body.response_format && rejections.shift();
+    if (rejection) return { ok: false, status: 400, text: async () => rejection };
+    return { ok: true, json: async () => ({ choices: [{ message: { content: JSON.stringify(valid) } }] }) };
+  };
+  const provider = createLLMProvider({ provider: 'openai-compatible', baseUrl: 'http://llm.test/v1/', model: 'local', fetchImpl });
+  const context = { task: 'evaluate', responseFormat: EVALUATION_RESPONSE_FORMAT };
+  await provider.chat([], context);
+  await provider.chat([], context);
+  await provider.chat([], context);
+  await assert.rejects(provider.chat([], context), (error) => error.status === 400 && /maximum context length/.test(error.message));
+  await provider.chat([], context);
+  assert.deepEqual(bodies.map((b) => Boolean(b.response_format)), [true, true, false, true, true, true]);
+  assert.equal(bodies[0].response_format.json_schema.strict, true);
+});
+
+test('the openai provider passes the configured retries and timeout to resilient-llm, including 0 retries', async () => {
+  const calls = [];
+  class ResilientLLM {
+    constructor(options) {
+      calls.push(['constructor', options]);
+    }
+    async chat(messages, llmOptions) {
+      calls.push(['chat', llmOptions]);
+      return { content: 'Done' };
+    }
+  }
+  const provider = createLLMProvider({ provider: 'openai', apiKey: 'sk-test', model: 'gpt-4o-mini', timeoutMs: 5000, retries: 0, resilientLLMImpl: ResilientLLM });
+  assert.equal(await provider.chat([], { responseFormat: EVALUATION_RESPONSE_FORMAT }), 'Done');
+  assert.equal(await provider.chat([]), 'Done');
+  assert.deepEqual(calls, [
+    ['constructor', { aiService: 'openai', apiKey: 'sk-test', model: 'gpt-4o-mini', timeout: 5000, retries: 0 }],
+    ['chat', { timeout: 5000, retries: 0, responseFormat: EVALUATION_RESPONSE_FORMAT }],
+    ['chat', { timeout: 5000, retries: 0 }],
+  ]);
+});
+
+/** A fetch that waits for `signal`, like a model server that never answers (its timer stands in for the open socket). */
+const hangingFetch = (url, { signal }) => new Promise((resolve, reject) => {
+  const socket = setTimeout(() => {}, 10000);
+  signal.addEventListener('abort', () => {
+    clearTimeout(socket);
+    reject(signal.reason);
+  }, { once: true });
+});
+
+test('the openai-compatible provider retries 429 and 5xx responses and network errors', async () => {
+  const replies = [
+    () => ({ ok: false, status: 503 }),
+    () => { throw new TypeError('fetch failed'); },
+    () => ({ ok: false, status: 429, headers: new Headers({ 'Retry-After': '0' }) }),
+    () => ({ ok: true, json: async () => ({ choices: [{ message: { content: 'Done' } }] }) }),
+  ];
+  let calls = 0;
+  const fetchImpl = async () => replies[calls++]();
+  const provider = createLLMProvider({ provider: 'openai-compatible', baseUrl: 'http://llm.test/v1', model: 'local', fetchImpl, retryDelayMs: 1 });
+  assert.equal(await provider.chat([]), 'Done');
+  assert.equal(calls, 4);
+
+  calls = 0;
+  const failing = createLLMProvider({
+    provider: 'openai-compatible', baseUrl: 'http://llm.test/v1', model: 'local', retries: 1, retryDelayMs: 1,
+    fetchImpl: async () => { calls++; return { ok: false, status: 500 }; },
+  });
+  await assert.rejects(failing.chat([]), /HTTP 500/);
+  assert.equal(calls, 2);
+  await assert.rejects(createLLMProvider({
+    provider: 'openai-compatible', baseUrl: 'http://llm.test/v1', model: 'local', retryDelayMs: 1,
+    fetchImpl: async () => { calls++; return { ok: false, status: 401 }; },
+  }).chat([]), /HTTP 401/);
+  assert.equal(calls, 3);
+});
+
+test('the openai-compatible provider times out, and stops without retrying when the caller aborts', async () => {
+  let calls = 0;
+  const fetchImpl = (url, options) => { calls++; return hangingFetch(url, options); };
+  const provider = createLLMProvider({
+    provider: 'openai-compatible', baseUrl: 'http://llm.test/v1', model: 'local', fetchImpl, timeoutMs: 10, retries: 1, retryDelayMs: 1,
+  });
+  await assert.rejects(provider.chatStream([], {}, () => {}), { name: 'TimeoutError' });
+  assert.equal(calls, 2);
+
+  calls = 0;
+  const controller = new AbortController();
+  const streamed = provider.chatStream([], { signal: controller.signal }, () => {});
+  controller.abort(new Error('The client disconnected'));
+  await assert.rejects(streamed, /client disconnected/);
+  assert.equal(calls, 1);
+});
+
+test('createQuestionBank looks questions up by id and re-reads a changed file', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'question-bank-'));
+  const file = path.join(dir, 'questions.json');
+  const question = { id: 3, version: 1, type: 'subjective', question: 'What is ACID?', expectedAnswer: 'A, C, I, D', keywords: ['atomic'] };
+  await fs.writeFile(file, JSON.stringify([question]));
+  const bank = createQuestionBank(file);
+  assert.equal((await bank.get(3)).version, 1);
+  assert.equal(await bank.get(4), null);
+  assert.deepEqual(getRubric(await bank.get(3)), { expectedAnswer: 'A, C, I, D', keywords: ['atomic'], minKeywords: 0 });
+
+  await fs.writeFile(file, JSON.stringify([{ ...question, version: 2 }]));
+  const later = new Date(Date.now() + 5000);
+  await fs.utimes(file, later, later);
+  assert.equal((await bank.get(3)).version, 2);
+  await fs.rm(dir, { recursive: true });
+});
+
+test('requestEvaluation sends a repair prompt after malformed output', async () => {
+  const conversations = [];
+  const replies = ['Grade: 7\nCorrect: Yes', JSON.stringify(valid)];
+  const chat = async (messages) => {
+    conversations.push(messages.map((m) => m.role));
+    return replies.shift();
+  };
+  assert.deepEqual(await requestEvaluation(chat, 'What is ACID?', 'Atomic...'), valid);
+  assert.deepEqual(conversations[1], ['system', 'user', 'assistant', 'user']);
+});
+
+test('requestEvaluation gives up after the allowed repairs', async () => {
+  let calls = 0;
+  const chat = async () => {
+    calls++;
+    return '{"grade": "high"}';
+  };
+  await assert.rejects(requestEvaluation(chat, 'q', 'a', { maxRepairs: 1 }), (error) => {
+    assert.ok(error instanceof EvaluationFormatError);
+    assert.ok(error.problems.includes('grade must be an integer from 0 to 10'));
+    return true;
+  });
+  assert.equal(calls, 2);
+});
+
+test('toEvaluationResponse maps to the versioned contract', () => {
+  assert.deepEqual(toEvaluationResponse(valid, { question: 'q', answer: 'a' }), {
+    contractVersion: EVALUATION_CONTRACT_VERSION,
+    grade: 7,
+    isCorrect: true,
+    nextHint: 'Mention durability.',
+    fullEvaluation: 'Covers atomicity and isolation.',
+    confidenceScore: 0.8,
+    criteria: valid.criteria,
+    coveredConcepts: [],
+    missingConcepts: [],
+    question: 'q',
+    answer: 'a',
+  });
+  assert.deepEqual(
+    toEvaluationResponse(valid, { question: 'q', answer: 'a', questionId: 3, questionVersion: 2 }),
+    { ...toEvaluationResponse(valid, { question: 'q', answer: 'a' }), questionId: 3, questionVersion: 2 }
+  );
+});
+
+test('the mock provider grades by keywords in the evaluation format', async () => {
+  const mock = createLLMProvider({ provider: 'mock', model: 'gpt-4o-mini' });
+  const evaluation = await requestEvaluation(mock.chat, 'What is ACID?', 'It is Atomic', { rubric });
+  assert.equal(mock.model, 'mock');
+  assert.deepEqual([evaluation.isCorrect, evaluation.grade], [true, 5]);
+  assert.deepEqual([evaluation.coveredConcepts, evaluation.missingConcepts], [['atomic'], ['Durable']]);
+  assert.throws(() => createLLMProvider({ provider: 'claude' }), LLMConfigError);
+});
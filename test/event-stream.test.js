@@ -0,0 +1,93 @@
+/**
+ * Node built-in tests for reading Server-Sent Events (src/js/eventStream.js), streamed subjective
+ * evaluation (Quiz.requestSubjectiveEvaluation with `onPartial`) and the server's event streams (server/lib/sse.js).
+ */
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import test from 'node:test';
+import { openEventStream } from '../server/lib/sse.js';
+import { parseEventStream, readEventStream } from '../src/js/eventStream.js';
+import { Quiz } from '../src/js/Quiz.js';
+
+/** A response body delivering `text` in chunks of `size` bytes. */
+function streamOf(text, size = 7) {
+  const bytes = new TextEncoder().encode(text);
+  return new ReadableStream({
+    start(controller) {
+      for (let i = 0; i < bytes.length; i += size) controller.enqueue(bytes.slice(i, i + size));
+      controller.close();
+    },
+  });
+}
+
+const sse = (event, data) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+test('parseEventStream keeps an incomplete trailing event for later', () => {
+  assert.deepEqual(parseEventStream('event: partial\ndata: {"a":1}\n\nevent: res'), {
+    events: [{ event: 'partial', data: { a: 1 } }],
+    rest: 'event: res',
+  });
+});
+
+test('readEventStream delivers events split across chunks in order', async () => {
+  const seen = [];
+  await readEventStream(streamOf(sse('partial', { text: 'Hé' }) + sse('result', { done: true })), (event, data) => seen.push([event, data]));
+  assert.deepEqual(seen, [['partial', { text: 'Hé' }], ['result', { done: true }]]);
+});
+
+test('requestSubjectiveEvaluation streams partial text, then returns the result', async () => {
+  const urls = [];
+  globalThis.fetch = async (url) => {
+    urls.push(url);
+    return {
+      ok: true,
+      status: 200,
+      body: streamOf(sse('partial', { fullEvaluation: 'Good' }) + sse('partial', { fullEvaluation: 'Good start' })
+        + sse('result', { isCorrect: true, grade: 8, fullEvaluation: 'Good start', coveredConcepts: ['atomic'] })),
+    };
+  };
+  const quiz = new Quiz({ answerEvaluationApi: 'http://api.test/evaluate' });
+  const partials = [];
+  const result = await quiz.requestSubjectiveEvaluation({ id: 5, version: 1, question: 'Explain ACID' }, 'atomic', { onPartial: (text) => partials.push(text) });
+  assert.deepEqual(urls, ['http://api.test/evaluate/stream']);
+  assert.deepEqual(partials, ['Good', 'Good start']);
+  assert.equal(result.grade, 8);
+  assert.deepEqual(result.coveredConcepts, ['atomic']);
+
+  globalThis.fetch = async () => ({ ok: true, status: 200, body: streamOf(sse('error', { status: 502, error: 'malformed' })) });
+  await assert.rejects(quiz.requestSubjectiveEvaluation({ id: 5 }, 'atomic', { onPartial: () => {} }), /HTTP 502/);
+});
+
+/** The parts of an Express response openEventStream uses, recording what is written. */
+function fakeResponse() {
+  const res = new EventEmitter();
+  Object.assign(res, {
+    written: '',
+    writableEnded: false,
+    writableFinished: false,
+    destroyed: false,
+    status: () => res,
+    set: () => res,
+    flushHeaders: () => {},
+    write: (chunk) => { res.written += chunk; },
+    end: () => { res.writableEnded = true; res.writableFinished = true; res.emit('close'); },
+  });
+  return res;
+}
+
+test('openEventStream aborts its signal when the client disconnects, not when the stream ends', () => {
+  const finished = fakeResponse();
+  const stream = openEventStream(finished);
+  stream.send('result', { ok: true });
+  stream.end();
+  assert.equal(finished.written, sse('result', { ok: true }));
+  assert.equal(stream.signal.aborted, false);
+
+  const dropped = fakeResponse();
+  const { signal, send } = openEventStream(dropped);
+  dropped.destroyed = true;
+  dropped.emit('close');
+  send('partial', {});
+  assert.equal(signal.aborted, true);
+  assert.equal(dropped.written, '');
+});
@@ -0,0 +1,118 @@
+/**
+ * Node built-in tests for timed exams (Quiz.startExam / endExam, the exam and per-question countdowns,
+ * attempt timing and the state restored after a reload, including an exam that ended), with an injected clock and an
+ * in-memory localStorage.
+ */
+import assert from 'node:assert/strict';
+import test, { beforeEach } from 'node:test';
+import { Quiz } from '../src/js/Quiz.js';
+
+const questions = [
+  { id: 1, type: 'objective', question: 'Q1', timeLimit: 30 },
+  { id: 2, type: 'objective', question: 'Q2' },
+];
+const MINUTE = 60 * 1000;
+const start = Date.parse('2026-01-01T10:00:00Z');
+
+beforeEach(() => {
+  const items = new Map();
+  globalThis.localStorage = {
+    get length() { return items.size; },
+    key: (i) => [...items.keys()][i] ?? null,
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+});
+
+/** A quiz over `questions`, without loading them from the network. */
+function createQuiz() {
+  const quiz = new Quiz();
+  quiz.loadQuestions = async () => { quiz.questions = questions; };
+  quiz.questions = questions;
+  return quiz;
+}
+
+test('the exam countdown runs from the start, stops at zero and ends with the exam', () => {
+  const quiz = createQuiz();
+  assert.equal(quiz.getExamRemainingMs(start), null);
+  quiz.startExam({ timeLimitMs: 10 * MINUTE }, start);
+  assert.equal(quiz.isExamActive(), true);
+  assert.equal(quiz.getExamRemainingMs(start + 4 * MINUTE), 6 * MINUTE);
+  assert.equal(quiz.getExamRemainingMs(start + 11 * MINUTE), 0);
+  quiz.endExam(start + 11 * MINUTE);
+  assert.equal(quiz.isExamActive(), false);
+  assert.equal(quiz.getExamRemainingMs(start + 11 * MINUTE), null);
+});
+
+test('a question\'s timeLimit counts down from when it was first shown', () => {
+  const quiz = createQuiz();
+  quiz.startExam({ timeLimitMs: 10 * MINUTE }, start);
+  assert.equal(quiz.getQuestionRemainingMs(start + 10 * 1000), 20 * 1000);
+  quiz.markQuestionStarted(start + 15 * 1000);
+  assert.equal(quiz.getQuestionRemainingMs(start + 25 * 1000), 5 * 1000);
+  assert.equal(quiz.getQuestionRemainingMs(start + 31 * 1000), 0);
+
+  quiz.moveToNextQuestion();
+  quiz.markQuestionStarted(start + 31 * 1000);
+  assert.equal(quiz.getQuestionRemainingMs(start + 40 * 1000), null);
+});
+
+test('takeAttemptTime measures each attempt of the shown question', () => {
+  const quiz = createQuiz();
+  quiz.startExam({ timeLimitMs: 10 * MINUTE }, start);
+  assert.equal(quiz.takeAttemptTime(1, start + 12 * 1000), 12 * 1000);
+  assert.equal(quiz.takeAttemptTime(1, start + 20 * 1000), 8 * 1000);
+  assert.equal(quiz.takeAttemptTime(2, start + 21 * 1000), undefined);
+});
+
+test('time used is capped at the limit, and frozen once the exam ends', () => {
+  const quiz = createQuiz();
+  assert.equal(quiz.getExamTimeUsed(start), null);
+  quiz.startExam({ timeLimitMs: 10 * MINUTE }, start);
+  assert.deepEqual(quiz.getExamTimeUsed(start + 3 * MINUTE), { usedMs: 3 * MINUTE, timeLimitMs: 10 * MINUTE });
+  assert.deepEqual(quiz.getExamTimeUsed(start + 12 * MINUTE), { usedMs: 10 * MINUTE, timeLimitMs: 10 * MINUTE });
+  quiz.endExam(start + 7 * MINUTE);
+  assert.deepEqual(quiz.getExamTimeUsed(start + 20 * MINUTE), { usedMs: 7 * MINUTE, timeLimitMs: 10 * MINUTE });
+});
+
+test('a reload restores the running exam and the question timer', async () => {
+  const before = createQuiz();
+  before.startExam({ timeLimitMs: 10 * MINUTE }, start);
+  before.takeAttemptTime(1, start + 5 * 1000);
+
+  const reloaded = createQuiz();
+  await reloaded.init(start + MINUTE);
+  assert.equal(reloaded.isExamActive(), true);
+  assert.equal(reloaded.getExamRemainingMs(start + 2 * MINUTE), 8 * MINUTE);
+  reloaded.markQuestionStarted(start + MINUTE);
+  assert.equal(reloaded.getQuestionRemainingMs(start + 10 * 1000), 20 * 1000);
+  assert.equal(reloaded.takeAttemptTime(1, start + 9 * 1000), 4 * 1000);
+});
+
+test('a reload after the exam ended keeps the partly answered quiz completed', async () => {
+  const before = createQuiz();
+  before.startExam({ timeLimitMs: 10 * MINUTE }, start);
+  before.endExam(start + 10 * MINUTE);
+  before.completeQuiz();
+
+  const reloaded = createQuiz();
+  await reloaded.init(start + 11 * MINUTE);
+  assert.equal(reloaded.isExamActive(), false);
+  assert.equal(reloaded.isQuizCompleted(), true);
+  assert.deepEqual(reloaded.getExamTimeUsed(start + 20 * MINUTE), { usedMs: 10 * MINUTE, timeLimitMs: 10 * MINUTE });
+});
+
+test('an exam whose time ran out while the page was closed ends at its deadline on reload', async () => {
+  createQuiz().startExam({ timeLimitMs: 10 * MINUTE }, start);
+
+  const reloaded = createQuiz();
+  await reloaded.init(start + 30 * MINUTE);
+  assert.equal(reloaded.isExamActive(), false);
+  assert.equal(reloaded.isQuizCompleted(), true);
+  assert.equal(JSON.parse(localStorage.getItem('examState')).finishedAt, start + 10 * MINUTE);
+
+  const again = createQuiz();
+  await again.init(start + 40 * MINUTE);
+  assert.equal(again.isQuizCompleted(), true);
+});
@@ -0,0 +1,157 @@
+/**
+ * Node built-in tests for client-side grading helpers (src/js/grading.js, sqlRunner.js and sqlSandbox.js).
+ */
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import initSqlJs from 'sql.js';
+import {
+  getHintPenalty,
+  gradeCloze,
+  gradeMatching,
+  gradeMultiSelect,
+  gradeNumeric,
+  gradeOrdering,
+  parseNumericAnswer,
+} from '../src/js/grading.js';
+import { gradeSqlAnswer, runSqlQuery } from '../src/js/sqlRunner.js';
+import { gradeSqlAnswerSandboxed } from '../src/js/sqlSandbox.js';
+
+const question = { expectedAnswer: ['COUNT', 'SUM'], scoring: 'all-or-nothing' };
+
+test('gradeMultiSelect all-or-nothing: exact set only', () => {
+  assert.deepEqual(gradeMultiSelect(question, ['SUM', 'COUNT']), { isCorrect: true, grade: 10, confidenceScore: 1 });
+  assert.equal(gradeMultiSelect(question, ['COUNT']).grade, 0);
+  assert.equal(gradeMultiSelect(question, ['COUNT', 'SUM', 'WHERE']).isCorrect, false);
+});
+
+test('gradeMultiSelect partial: credit per correct pick minus wrong picks', () => {
+  const partial = { ...question, scoring: 'partial' };
+  assert.equal(gradeMultiSelect(partial, ['COUNT']).grade, 5);
+  assert.equal(gradeMultiSelect(partial, ['COUNT', 'WHERE']).grade, 0);
+  assert.equal(gradeMultiSelect(partial, ['`count`', 'sum']).isCorrect, true);
+});
+
+test('gradeSqlAnswer compares result sets, ignoring aliases and (optionally) row order', async () => {
+  const SQL = await initSqlJs();
+  const question = {
+    schema: 'CREATE TABLE orders (order_id INTEGER, customer_id INTEGER);',
+    seed: 'INSERT INTO orders VALUES (1, 10), (2, 10), (3, 20);',
+    expectedAnswer: 'SELECT customer_id, COUNT(*) FROM orders GROUP BY customer_id ORDER BY customer_id',
+    orderSensitive: false,
+  };
+  const reversed = 'SELECT customer_id AS c, COUNT(order_id) AS n FROM orders GROUP BY customer_id ORDER BY customer_id DESC';
+  assert.equal(gradeSqlAnswer(SQL, question, reversed).isCorrect, true);
+  assert.equal(gradeSqlAnswer(SQL, { ...question, orderSensitive: true }, reversed).isCorrect, false);
+  assert.match(gradeSqlAnswer(SQL, question, 'SELECT customer_id FROM orders').nextHint, /column/);
+  assert.match(gradeSqlAnswer(SQL, question, 'SELECT nope FROM orders').nextHint, /^Query error:/);
+});
+
+test('runSqlQuery stops a statement returning more than maxRows rows', async () => {
+  const SQL = await initSqlJs();
+  const question = { schema: 'CREATE TABLE t (n INTEGER);' };
+  const endless = 'WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n) SELECT i FROM n';
+  assert.throws(() => runSqlQuery(SQL, question, endless, { maxRows: 50 }), /more than 50 rows/);
+  assert.match(gradeSqlAnswer(SQL, { ...question, expectedAnswer: 'SELECT 1' }, endless).nextHint, /more than 10000 rows/);
+  assert.deepEqual(runSqlQuery(SQL, question, 'SELECT 1 AS a; SELECT 2 AS b, 3 AS c'), { columns: ['b', 'c'], rows: [[2, 3]] });
+});
+
+test('parseNumericAnswer: approximations, separators and units', () => {
+  assert.equal(parseNumericAnswer('1.960'), 1.96);
+  assert.equal(parseNumericAnswer('≈2'), 2);
+  assert.equal(parseNumericAnswer('~ 1,000'), 1000);
+  assert.equal(parseNumericAnswer('120 ms', ['ms']), 120);
+  assert.ok(Number.isNaN(parseNumericAnswer('120 seconds', ['ms'])));
+  assert.ok(Number.isNaN(parseNumericAnswer('two')));
+});
+
+test('gradeNumeric: absolute and relative tolerance', () => {
+  const absolute = { expectedValue: 1.96, tolerance: 0.05 };
+  assert.equal(gradeNumeric(absolute, '1.96').isCorrect, true);
+  assert.equal(gradeNumeric(absolute, '≈2').isCorrect, true);
+  assert.equal(gradeNumeric(absolute, '2.1').isCorrect, false);
+  const relative = { expectedValue: 200, relativeTolerance: 0.1 };
+  assert.equal(gradeNumeric(relative, '219').isCorrect, true);
+  assert.equal(gradeNumeric(relative, '221').isCorrect, false);
+  assert.match(gradeNumeric(relative, 'lots').nextHint, /Enter a number/);
+});
+
+test('gradeOrdering: full credit for exact order, pairwise partial credit otherwise', () => {
+  const question = { expectedAnswer: ['Extract', 'Load', 'Transform'] };
+  assert.deepEqual(gradeOrdering(question, ['Extract', 'Load', 'Transform']), { isCorrect: true, grade: 10, confidenceScore: 1 });
+  // 2 of 3 pairs in the right relative order
+  assert.deepEqual(gradeOrdering(question, ['Extract', 'Transform', 'Load']), { isCorrect: false, grade: 7, confidenceScore: 1 });
+  assert.equal(gradeOrdering(question, ['Transform', 'Load', 'Extract']).grade, 0);
+  assert.equal(gradeOrdering(question, ['Extract', 'Load']).grade, 0);
+});
+
+test('gradeCloze: per-blank strings (case-insensitive) and anchored regexes', () => {
+  const question = {
+    blanks: [{ accept: ['COUNT(*)', '/count\\(\\s*\\w+\\s*\\)/i'] }, { accept: ['customer_id'] }],
+  };
+  assert.deepEqual(gradeCloze(question, ['count(*)', 'Customer_ID']), {
+    isCorrect: true,
+    grade: 10,
+    confidenceScore: 1,
+    incorrectBlanks: [],
+  });
+  assert.equal(gradeCloze(question, ['COUNT( order_id )', 'customer_id']).isCorrect, true);
+  const partial = gradeCloze(question, ['SUM(amount)', 'customer_id']);
+  assert.deepEqual(partial.incorrectBlanks, [0]);
+  assert.equal(partial.grade, 5);
+  assert.deepEqual(gradeCloze(question, ['COUNT(*) extra', '']).incorrectBlanks, [0, 1]);
+});
+
+test('gradeMatching: per-pair grade and wrong pair indices', () => {
+  const question = {
+    pairs: [
+      { left: 'Type 1', right: 'Overwrite' },
+      { left: 'Type 2', right: 'Add row' },
+      { left: 'Type 3', right: 'Add column' },
+      { left: 'Type 0', right: 'Retain original' },
+    ],
+  };
+  assert.equal(gradeMatching(question, ['Overwrite', 'Add row', 'Add column', 'Retain original']).isCorrect, true);
+  const swapped = gradeMatching(question, ['Overwrite', 'Add column', 'Add row', 'Retain original']);
+  assert.deepEqual(swapped.incorrectPairs, [1, 2]);
+  assert.equal(swapped.grade, 5);
+  assert.deepEqual(gradeMatching(question, []).incorrectPairs, [0, 1, 2, 3]);
+});
+
+test('getHintPenalty: configured weights for the first hints used, default otherwise, capped at 1', () => {
+  assert.equal(getHintPenalty({}, 0), 0);
+  assert.ok(Math.abs(getHintPenalty({}, 3) - 0.3) < 1e-9);
+  const question = { hintCosts: [0.05, 0.15, 0.5, 0.5] };
+  assert.ok(Math.abs(getHintPenalty(question, 2) - 0.2) < 1e-9);
+  assert.equal(getHintPenalty(question, 4), 1);
+});
+
+test('gradeSqlAnswerSandboxed terminates a worker still running after the time limit', async (t) => {
+  const workers = [];
+  globalThis.Worker = class {
+    constructor() {
+      this.terminated = false;
+      workers.push(this);
+    }
+    postMessage({ id, userQuery }) {
+      // sql.js loads, then the query never finishes unless it is the quick one
+      queueMicrotask(() => {
+        this.onmessage({ data: { id, running: true } });
+        if (userQuery === 'SELECT 1') this.onmessage({ data: { id, result: { isCorrect: true, confidenceScore: 1 } } });
+      });
+    }
+    terminate() {
+      this.terminated = true;
+    }
+  };
+  t.after(() => delete globalThis.Worker);
+  const question = { schema: '', expectedAnswer: 'SELECT 1' };
+
+  const stopped = await gradeSqlAnswerSandboxed(question, 'WITH RECURSIVE ...', { timeoutMs: 20 });
+  assert.equal(stopped.isCorrect, false);
+  assert.match(stopped.nextHint, /more than 0.02 seconds/);
+  assert.equal(workers[0].terminated, true);
+
+  assert.deepEqual(await gradeSqlAnswerSandboxed(question, 'SELECT 1', { timeoutMs: 20 }), { isCorrect: true, confidenceScore: 1 });
+  assert.equal(workers.length, 2);
+  assert.equal(workers[1].terminated, false);
+});
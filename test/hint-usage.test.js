@@ -0,0 +1,33 @@
+/**
+ * Node built-in tests for per-question hint tracking and the hint penalty in Quiz.getQuizProgress.
+ */
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { HintUsage } from '../src/js/HintUsage.js';
+import { Quiz } from '../src/js/Quiz.js';
+import { UserAnswer } from '../src/js/UserAnswer.js';
+
+test('HintUsage.reveal: records each hint once, keyed by scope and question', () => {
+  const usage = new HintUsage({ questionId: 7, scope: 'main' });
+  assert.equal(usage.reveal(1), true);
+  assert.equal(usage.reveal(1), false);
+  assert.equal(usage.reveal(0), true);
+  const json = usage.toJSON();
+  assert.equal(json.id, 'main:7');
+  assert.deepEqual(json.revealed, [1, 0]);
+  assert.equal(json.revealedAt.length, 2);
+  assert.deepEqual(HintUsage.fromJSON(json).revealed, [1, 0]);
+});
+
+test('getQuizProgress: hint penalty applies per question from the graded attempt', () => {
+  const quiz = new Quiz();
+  quiz.questions = [{ id: 1 }, { id: 2 }];
+  quiz.userAnswers.set(1, [new UserAnswer({ questionId: 1, answer: 'a', isCorrect: true, hintsUsed: 2 })]);
+  quiz.userAnswers.set(2, [new UserAnswer({ questionId: 2, answer: 'b', isCorrect: true })]);
+  quiz.hintUsage.set(1, new HintUsage({ questionId: 1, scope: 'main', revealed: [0, 1] }));
+
+  const progress = quiz.getQuizProgress();
+  assert.equal(progress.hintCount, 2);
+  assert.ok(Math.abs(progress.totalScore - 1.8) < 1e-9);
+  assert.equal(progress.overallScore, 90);
+});
@@ -0,0 +1,34 @@
+/**
+ * Node built-in tests for /label/:labels route parsing and filtering.
+ */
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { filterQuestionsByLabels, getLabelScope, parseLabelRouteFromPathname } from '../src/js/labelRoute.js';
+
+test('parseLabelRouteFromPathname: single, any-of and all-of labels', () => {
+  assert.deepEqual(parseLabelRouteFromPathname('/label/sql'), { labels: ['sql'], match: 'any' });
+  assert.deepEqual(parseLabelRouteFromPathname('/label/SQL,Joins/'), { labels: ['sql', 'joins'], match: 'any' });
+  assert.deepEqual(parseLabelRouteFromPathname('/label/sql+joins'), { labels: ['sql', 'joins'], match: 'all' });
+  assert.deepEqual(parseLabelRouteFromPathname('/label/data%20quality'), { labels: ['data quality'], match: 'any' });
+  assert.equal(parseLabelRouteFromPathname('/question/sql'), null);
+  assert.equal(parseLabelRouteFromPathname('/label/,'), null);
+  assert.equal(parseLabelRouteFromPathname('/label/%E0%A4%A'), null);
+});
+
+test('filterQuestionsByLabels: any vs all, case-insensitive, keeps order', () => {
+  const questions = [
+    { id: 1, labels: ['sql'] },
+    { id: 2, labels: [] },
+    { id: 3, labels: ['SQL', 'joins'] },
+    { id: 4, labels: ['joins'] },
+  ];
+  assert.deepEqual(filterQuestionsByLabels(questions, ['sql', 'joins']).map((q) => q.id), [1, 3, 4]);
+  assert.deepEqual(filterQuestionsByLabels(questions, ['sql', 'joins'], 'all').map((q) => q.id), [3]);
+  assert.deepEqual(filterQuestionsByLabels(questions, ['etl']), []);
+});
+
+test('getLabelScope: independent of label order, distinct per match mode', () => {
+  assert.equal(getLabelScope(['sql', 'joins']), getLabelScope(['joins', 'sql']));
+  assert.notEqual(getLabelScope(['sql', 'joins']), getLabelScope(['sql', 'joins'], 'all'));
+  assert.equal(getLabelScope(['sql']), 'label:sql');
+});
@@ -0,0 +1,103 @@
+/**
+ * Node built-in tests for the IndexedDB migration registry (src/js/migrations.js), using a minimal in-memory stand-in
+ * for the upgrade transaction.
+ */
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { LATEST_VERSION, migrations, runMigrations } from '../src/js/migrations.js';
+
+/** In-memory database with just what migrations use: stores, indexes and cursors. */
+function createFakeDatabase(initial = {}) {
+  const stores = new Map();
+  for (const [name, { keyPath, records = [], indexes = [] }] of Object.entries(initial)) {
+    stores.set(name, { keyPath, records: [...records], indexes: new Set(indexes) });
+  }
+  const storeHandle = (name) => {
+    const store = stores.get(name);
+    return {
+      indexNames: { contains: (index) => store.indexes.has(index) },
+      createIndex: (index) => store.indexes.add(index),
+      deleteIndex: (index) => store.indexes.delete(index),
+      openCursor() {
+        const request = {};
+        let position = 0;
+        const step = () =>
+          setImmediate(() => {
+            if (position >= store.records.length) {
+              request.result = null;
+            } else {
+              const index = position;
+              request.result = {
+                value: store.records[index],
+                update: (value) => { store.records[index] = value; },
+                delete: () => { store.records[index] = undefined; },
+                continue: () => { position++; step(); },
+              };
+            }
+            request.onsuccess();
+          });
+        step();
+        return request;
+      },
+    };
+  };
+  const db = {
+    objectStoreNames: { contains: (name) => stores.has(name) },
+    createObjectStore(name, { keyPath }) {
+      stores.set(name, { keyPath, records: [], indexes: new Set() });
+      return storeHandle(name);
+    },
+  };
+  return { db, transaction: { objectStore: storeHandle }, stores };
+}
+
+test('migration registry: versions start at 1 and increase by one', () => {
+  assert.deepEqual(migrations.map((m) => m.version), migrations.map((_, i) => i + 1));
+  assert.equal(LATEST_VERSION, migrations.length);
+  assert.ok(migrations.every((m) => m.description));
+});
+
+test('runMigrations: new database gets every store and index', async () => {
+  const { db, transaction, stores } = createFakeDatabase();
+  const applied = await runMigrations(db, transaction, 0);
+  assert.deepEqual(applied, migrations.map((m) => m.version));
+  assert.deepEqual([...stores.keys()].sort(), ['hintUsage', 'pendingEvaluations', 'questions', 'userAnswers']);
+  assert.equal(stores.get('userAnswers').keyPath, 'questionId');
+  assert.ok(stores.get('hintUsage').indexes.has('scope'));
+});
+
+test('runMigrations: upgrading a version 1 database keeps answer history and tags it with the main scope', async () => {
+  const { db, transaction, stores } = createFakeDatabase({
+    questions: { keyPath: 'id' },
+    userAnswers: {
+      keyPath: 'questionId',
+      records: [
+        { questionId: 1, answers: [{ questionId: 1, answer: 'a', isCorrect: true }] },
+        { questionId: 2, answers: [{ questionId: 2, answer: 'b', isCorrect: false, scope: 'label:sql' }] },
+      ],
+    },
+  });
+  assert.deepEqual(await runMigrations(db, transaction, 1), [2, 3, 4]);
+  const [first, second] = stores.get('userAnswers').records;
+  assert.deepEqual(first.answers, [{ questionId: 1, answer: 'a', isCorrect: true, scope: 'main' }]);
+  assert.equal(second.answers[0].scope, 'label:sql');
+});
+
+test('runMigrations: runs pending migrations in order and names the one that failed', async () => {
+  const { db, transaction } = createFakeDatabase();
+  const order = [];
+  const registry = [
+    { version: 2, description: 'second', migrate: async () => { order.push(2); } },
+    { version: 1, description: 'first', migrate: async () => { order.push(1); } },
+    { version: 3, description: 'reshape answers', migrate: async () => { throw new Error('bad record'); } },
+  ];
+  await assert.rejects(
+    () => runMigrations(db, transaction, 0, registry),
+    (error) => {
+      assert.match(error.message, /Migration to version 3 \(reshape answers\) failed: bad record/);
+      assert.equal(error.cause.message, 'bad record');
+      return true;
+    }
+  );
+  assert.deepEqual(order, [1, 2]);
+});
@@ -0,0 +1,145 @@
+/**
+ * Node built-in tests for provisional subjective grades and their re-grading queue
+ * (Quiz.submitAnswer / Quiz.resubmitPendingEvaluations), of rate-limited submissions and of the learner credentials sent
+ * for per-learner limits, with an in-memory Storage and fetch.
+ */
+import assert from 'node:assert/strict';
+import test, { beforeEach } from 'node:test';
+import Storage from '../src/js/Storage.js';
+import { PendingEvaluation } from '../src/js/PendingEvaluation.js';
+import { MAX_EVALUATION_ATTEMPTS, Quiz, RateLimitError } from '../src/js/Quiz.js';
+import { UserAnswer } from '../src/js/UserAnswer.js';
+
+const keyPaths = { userAnswers: 'questionId', pendingEvaluations: 'id' };
+let stores;
+
+beforeEach(() => {
+  stores = { userAnswers: new Map(), pendingEvaluations: new Map() };
+  Storage.save = async (store, item) => { stores[store].set(item[keyPaths[store]], structuredClone(item)); };
+  Storage.getAll = async (store) => [...stores[store].values()].map((v) => structuredClone(v));
+  Storage.getById = async (store, id) => structuredClone(stores[store].get(id));
+  Storage.deleteById = async (store, id) => { stores[store].delete(id); };
+});
+
+const question = { id: 5, version: 2, type: 'subjective', question: 'Explain ACID', keywords: ['atomic', 'durable'], minKeywords: 1 };
+
+test('an unreachable API gives a provisional keyword grade that is queued', async () => {
+  globalThis.fetch = async () => { throw new TypeError('Failed to fetch'); };
+  const quiz = new Quiz();
+  quiz.questions = [question];
+  const result = await quiz.submitAnswer('It is atomic', 5);
+  assert.equal(result.provisional, true);
+  assert.equal(result.isCorrect, true);
+  const [pending] = await PendingEvaluation.getAll();
+  assert.equal(pending.questionId, 5);
+  assert.equal(pending.answer, 'It is atomic');
+  assert.equal(pending.version, 2);
+  assert.equal(quiz.getLatestUserAnswer(5).provisional, true);
+});
+
+test('resubmitPendingEvaluations replaces provisional grades and keeps the rest queued after a failure', async () => {
+  const quiz = new Quiz();
+  const first = new UserAnswer({ questionId: 5, answer: 'atomic', isCorrect: true, provisional: true, submittedAt: '2026-01-01T00:00:00Z' });
+  const second = new UserAnswer({ questionId: 6, answer: 'x', isCorrect: false, provisional: true, submittedAt: '2026-01-02T00:00:00Z' });
+  await first.save();
+  await second.save();
+  quiz.userAnswers.set(5, [first]);
+  await new PendingEvaluation({ questionId: 5, submittedAt: first.submittedAt, version: 2, question: 'Explain ACID', answer: 'atomic', queuedAt: '1' }).save();
+  await new PendingEvaluation({ questionId: 6, submittedAt: second.submittedAt, question: 'Q6', answer: 'x', queuedAt: '2' }).save();
+
+  let calls = 0;
+  const bodies = [];
+  globalThis.fetch = async (url, options) => {
+    calls++;
+    bodies.push(JSON.parse(options.body));
+    if (calls > 1) throw new TypeError('Failed to fetch');
+    return { ok: true, json: async () => ({ isCorrect: false, grade: 3, nextHint: 'More detail', fullEvaluation: 'Too short' }) };
+  };
+  const regraded = await quiz.resubmitPendingEvaluations();
+
+  assert.deepEqual(bodies[0], { questionId: 5, version: 2, question: 'Explain ACID', answer: 'atomic' });
+  assert.deepEqual(regraded.map((r) => [r.questionId, r.before.isCorrect, r.after.isCorrect, r.after.grade]), [[5, true, false, 3]]);
+  const stored = stores.userAnswers.get(5).answers[0];
+  assert.equal(stored.provisional, false);
+  assert.equal(stored.grade, 3);
+  assert.ok(stored.updatedAt);
+  assert.equal(quiz.getLatestUserAnswer(5).isCorrect, false);
+  const remaining = await PendingEvaluation.getAll();
+  assert.deepEqual(remaining.map((p) => [p.questionId, p.attempts]), [[6, 1]]);
+});
+
+test('an answer the API rejects for good keeps its keyword grade and does not hold up the queue', async () => {
+  const quiz = new Quiz();
+  const first = new UserAnswer({ questionId: 5, answer: 'atomic', isCorrect: true, provisional: true, submittedAt: '2026-01-01T00:00:00Z' });
+  const second = new UserAnswer({ questionId: 6, answer: 'x', isCorrect: false, provisional: true, submittedAt: '2026-01-02T00:00:00Z' });
+  await first.save();
+  await second.save();
+  quiz.userAnswers.set(5, [first]);
+  await new PendingEvaluation({ questionId: 5, submittedAt: first.submittedAt, question: 'Removed', answer: 'atomic', queuedAt: '1' }).save();
+  await new PendingEvaluation({ questionId: 6, submittedAt: second.submittedAt, question: 'Q6', answer: 'x', queuedAt: '2' }).save();
+
+  globalThis.fetch = async (url, options) => JSON.parse(options.body).questionId === 5
+    ? { ok: false, status: 404, headers: new Map() }
+    : { ok: true, json: async () => ({ isCorrect: true, grade: 8, nextHint: '', fullEvaluation: 'Good' }) };
+  const regraded = await quiz.resubmitPendingEvaluations();
+
+  assert.deepEqual(regraded.map((r) => [r.questionId, r.after.grade]), [[6, 8]]);
+  const rejected = stores.userAnswers.get(5).answers[0];
+  assert.equal(rejected.provisional, false);
+  assert.equal(rejected.isCorrect, true);
+  assert.equal(quiz.getLatestUserAnswer(5).provisional, false);
+  assert.equal(stores.userAnswers.get(6).answers[0].provisional, false);
+  assert.deepEqual(await PendingEvaluation.getAll(), []);
+});
+
+test('a server error counts as an attempt and the answer is given up on after the last one', async () => {
+  const quiz = new Quiz();
+  const answer = new UserAnswer({ questionId: 5, answer: 'atomic', isCorrect: true, provisional: true, submittedAt: '2026-01-01T00:00:00Z' });
+  await answer.save();
+  await new PendingEvaluation({ questionId: 5, submittedAt: answer.submittedAt, question: 'Q5', answer: 'atomic', queuedAt: '1' }).save();
+
+  globalThis.fetch = async () => ({ ok: false, status: 502, headers: new Map() });
+  for (let attempt = 1; attempt < MAX_EVALUATION_ATTEMPTS; attempt++) {
+    await quiz.resubmitPendingEvaluations();
+    assert.deepEqual((await PendingEvaluation.getAll()).map((p) => p.attempts), [attempt]);
+  }
+  await quiz.resubmitPendingEvaluations();
+  assert.deepEqual(await PendingEvaluation.getAll(), []);
+  assert.equal(stores.userAnswers.get(5).answers[0].provisional, false);
+});
+
+test('a rate-limited answer is not graded locally unless queueing is asked for', async () => {
+  globalThis.fetch = async () => ({ ok: false, status: 429, headers: new Map([['Retry-After', '30']]) });
+  const quiz = new Quiz();
+  quiz.questions = [question];
+  await assert.rejects(quiz.submitAnswer('It is atomic', 5), (error) => error instanceof RateLimitError && error.retryAfterSeconds === 30);
+  assert.equal(quiz.getLatestUserAnswer(5), null);
+  assert.deepEqual(await PendingEvaluation.getAll(), []);
+
+  const result = await quiz.submitAnswer('It is atomic', 5, { queueWhenRateLimited: true });
+  assert.equal(result.provisional, true);
+  assert.equal((await PendingEvaluation.getAll()).length, 1);
+});
+
+test('the sync token goes to the evaluation API only when the sync API is on the same server', async () => {
+  const sent = [];
+  globalThis.fetch = async (url, options) => {
+    sent.push(options.headers);
+    return { ok: true, status: 200, json: async () => ({ isCorrect: true, grade: 9 }) };
+  };
+  const credentials = { learnerId: '3f0c2b9e-1d2a-4c3b-9e8f-0a1b2c3d4e5f', token: 'secret' };
+  const sameServer = new Quiz({
+    answerEvaluationApi: 'https://api.example.com/evaluate',
+    getSyncCredentials: () => ({ ...credentials, api: 'https://api.example.com/progress' }),
+  });
+  const otherServer = new Quiz({
+    answerEvaluationApi: 'https://grader.example.com/evaluate',
+    getSyncCredentials: () => ({ ...credentials, api: 'https://api.example.com/progress' }),
+  });
+  await sameServer.requestSubjectiveEvaluation(question, 'atomic');
+  await otherServer.requestSubjectiveEvaluation(question, 'atomic');
+  assert.equal(sent[0]['X-Learner-Id'], credentials.learnerId);
+  assert.equal(sent[0].Authorization, 'Bearer secret');
+  assert.equal(sent[1]['X-Learner-Id'], undefined);
+  assert.equal(sent[1].Authorization, undefined);
+});
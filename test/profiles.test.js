@@ -0,0 +1,84 @@
+/**
+ * Node built-in tests for learner profiles (src/js/profiles.js), against an in-memory localStorage.
+ */
+import assert from 'node:assert/strict';
+import test, { beforeEach } from 'node:test';
+import {
+  DEFAULT_PROFILE_ID,
+  createProfile,
+  deleteProfile,
+  getActiveProfile,
+  getProfileDbName,
+  getProfiles,
+  profileKey,
+  setActiveProfile,
+  unprefixProfileKey,
+} from '../src/js/profiles.js';
+
+class MemoryStorage {
+  constructor() { this.items = new Map(); }
+  get length() { return this.items.size; }
+  key(i) { return [...this.items.keys()][i] ?? null; }
+  getItem(key) { return this.items.has(key) ? this.items.get(key) : null; }
+  setItem(key, value) { this.items.set(key, String(value)); }
+  removeItem(key) { this.items.delete(key); }
+}
+
+const deletedDatabases = [];
+
+beforeEach(() => {
+  globalThis.localStorage = new MemoryStorage();
+  deletedDatabases.length = 0;
+  globalThis.window = {
+    indexedDB: {
+      deleteDatabase(name) {
+        deletedDatabases.push(name);
+        const request = {};
+        setImmediate(() => request.onsuccess());
+        return request;
+      },
+    },
+  };
+});
+
+test('the default profile always exists and is active by default', () => {
+  assert.deepEqual(getProfiles().map((p) => p.id), [DEFAULT_PROFILE_ID]);
+  assert.equal(getActiveProfile().id, DEFAULT_PROFILE_ID);
+  assert.equal(getProfileDbName(DEFAULT_PROFILE_ID), 'QuizDB');
+  assert.equal(profileKey('attempt'), 'attempt');
+});
+
+test('createProfile validates names; setActiveProfile scopes keys and database', () => {
+  const ana = createProfile('  Ana ');
+  assert.equal(ana.name, 'Ana');
+  assert.throws(() => createProfile('ana'), /already a profile/);
+  assert.throws(() => createProfile(' '), /Enter a profile name/);
+  assert.throws(() => createProfile('x'.repeat(41)), /at most 40/);
+  assert.throws(() => setActiveProfile('missing'), /no longer exists/);
+
+  setActiveProfile(ana.id);
+  assert.equal(getActiveProfile().name, 'Ana');
+  assert.equal(getProfileDbName(ana.id), `QuizDB:${ana.id}`);
+  assert.equal(profileKey('attempt'), `profile:${ana.id}:attempt`);
+  assert.equal(unprefixProfileKey(`profile:${ana.id}:examState:deck:x`), 'examState:deck:x');
+  assert.equal(unprefixProfileKey('attempt'), null);
+  assert.equal(unprefixProfileKey(`profile:${ana.id}:attempt`, DEFAULT_PROFILE_ID), null);
+});
+
+test('deleteProfile removes the database and keys and falls back to the default profile', async () => {
+  const ana = createProfile('Ana');
+  const ben = createProfile('Ben');
+  setActiveProfile(ana.id);
+  localStorage.setItem(profileKey('attempt'), '{}');
+  localStorage.setItem(profileKey('attempt', ben.id), '{}');
+  localStorage.setItem('attempt', '{}');
+
+  await deleteProfile(ana.id);
+  assert.deepEqual(deletedDatabases, [`QuizDB:${ana.id}`]);
+  assert.deepEqual(getProfiles().map((p) => p.name), ['Default', 'Ben']);
+  assert.equal(getActiveProfile().id, DEFAULT_PROFILE_ID);
+  assert.equal(localStorage.getItem(`profile:${ana.id}:attempt`), null);
+  assert.equal(localStorage.getItem(`profile:${ben.id}:attempt`), '{}');
+  assert.equal(localStorage.getItem('attempt'), '{}');
+  await assert.rejects(deleteProfile(DEFAULT_PROFILE_ID), /cannot be deleted/);
+});
@@ -0,0 +1,71 @@
+/**
+ * Node built-in tests for the server's synced progress store (server/lib/progressStore.js).
+ */
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import {
+  createProgressStore,
+  mergeAnswerRecords,
+  validateAnswerRecords,
+  validateResets,
+} from '../server/lib/progressStore.js';
+import { applyScopeResets } from '../server/lib/answerHistory.js';
+
+const answer = (submittedAt, extra = {}) => ({ answer: 'x', isCorrect: false, submittedAt, ...extra });
+
+test('mergeAnswerRecords: unions by submission, later updatedAt wins, sorted by submittedAt', () => {
+  const existing = [{ questionId: 1, answers: [answer('2026-01-02T00:00:00Z', { grade: 3 })] }];
+  const incoming = [
+    { questionId: 1, answers: [answer('2026-01-01T00:00:00Z'), answer('2026-01-02T00:00:00Z', { grade: 7, updatedAt: '2026-01-05T00:00:00Z' })] },
+    { questionId: 2, answers: [answer('2026-01-03T00:00:00Z', { scope: 'deck:x' })] },
+  ];
+  const merged = mergeAnswerRecords(existing, incoming);
+  assert.deepEqual(merged[0].answers.map((a) => [a.submittedAt, a.grade]), [
+    ['2026-01-01T00:00:00Z', undefined],
+    ['2026-01-02T00:00:00Z', 7],
+  ]);
+  assert.equal(merged[1].questionId, 2);
+  assert.equal(mergeAnswerRecords(merged, incoming)[0].answers.length, 2);
+});
+
+test('applyScopeResets drops answers up to the reset of their scope', () => {
+  const records = [
+    { questionId: 1, answers: [answer('2026-01-01T00:00:00Z'), answer('2026-01-03T00:00:00Z')] },
+    { questionId: 2, answers: [answer('2026-01-01T00:00:00Z', { scope: 'deck:x' })] },
+  ];
+  const result = applyScopeResets(records, { main: '2026-01-02T00:00:00Z', 'deck:x': '2026-01-01T00:00:00Z' });
+  assert.deepEqual(result, [{ questionId: 1, answers: [answer('2026-01-03T00:00:00Z')] }]);
+});
+
+test('validateAnswerRecords and validateResets reject malformed payloads', () => {
+  assert.equal(validateAnswerRecords([{ questionId: 1, answers: [answer('2026-01-01T00:00:00Z')] }]), null);
+  assert.match(validateAnswerRecords({}), /must be a list/);
+  assert.match(validateAnswerRecords([{ questionId: 1, answers: [{ isCorrect: 'yes' }] }]), /userAnswers\[0\]/);
+  assert.equal(validateResets(undefined), null);
+  assert.match(validateResets({ main: 'not a date' }), /ISO timestamps/);
+});
+
+test('createProgressStore: tokens authenticate their learner; merges persist', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'progress-store-'));
+  try {
+    const store = createProgressStore(dir);
+    const { learnerId, token } = await store.createLearner();
+    assert.ok(await store.authenticate(learnerId, token));
+    assert.equal(await store.authenticate(learnerId, 'wrong'), null);
+    assert.equal(await store.authenticate('../etc/passwd', token), null);
+
+    const records = [{ questionId: 1, answers: [answer('2026-01-01T00:00:00Z')] }];
+    await Promise.all([store.mergeAnswers(learnerId, records), store.mergeAnswers(learnerId, [{ questionId: 2, answers: [answer('2026-01-02T00:00:00Z')] }])]);
+    const stored = await store.authenticate(learnerId, token);
+    assert.deepEqual(stored.userAnswers.map((r) => r.questionId).sort(), [1, 2]);
+    assert.ok(!JSON.stringify(stored).includes(token));
+
+    const afterReset = await store.mergeAnswers(learnerId, [], { main: '2026-01-01T12:00:00Z' });
+    assert.deepEqual(afterReset.userAnswers.map((r) => r.questionId), [2]);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,27 @@
+/**
+ * Node built-in tests for client-side sync helpers (src/js/progressSync.js) and the reset helpers it shares with the server (server/lib/answerHistory.js).
+ */
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { applyScopeResets, mergeResets } from '../server/lib/answerHistory.js';
+import { formatSyncCode, parseSyncCode } from '../src/js/progressSync.js';
+
+test('sync codes round-trip and malformed codes are rejected', () => {
+  const credentials = { learnerId: '3f0c2b9e-1d2a-4c3b-9e8f-0a1b2c3d4e5f', token: 'q2Vb_x-9' };
+  assert.deepEqual(parseSyncCode(` ${formatSyncCode(credentials)} `), credentials);
+  assert.throws(() => parseSyncCode('nope'), /not a valid sync code/);
+});
+
+test('mergeResets keeps the latest reset per scope; applyScopeResets drops older answers', () => {
+  assert.deepEqual(mergeResets({ main: '2026-01-02T00:00:00Z' }, { main: '2026-01-01T00:00:00Z', 'deck:x': '2026-01-01T00:00:00Z' }), {
+    main: '2026-01-02T00:00:00Z',
+    'deck:x': '2026-01-01T00:00:00Z',
+  });
+  const records = [
+    { questionId: 1, answers: [{ submittedAt: '2026-01-01T00:00:00Z' }, { submittedAt: '2026-01-03T00:00:00Z', scope: 'main' }] },
+    { questionId: 2, answers: [{ submittedAt: '2026-01-01T00:00:00Z', scope: 'label:sql' }] },
+  ];
+  assert.deepEqual(applyScopeResets(records, { main: '2026-01-02T00:00:00Z', 'label:sql': '2026-01-01T00:00:00Z' }), [
+    { questionId: 1, answers: [{ submittedAt: '2026-01-03T00:00:00Z', scope: 'main' }] },
+  ]);
+});
@@ -0,0 +1,104 @@
+/**
+ * Node built-in tests for progress file validation, merging and importing (src/js/progressTransfer.js).
+ */
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import Storage from '../src/js/Storage.js';
+import {
+  PROGRESS_FILE_FORMAT,
+  PROGRESS_FILE_VERSION,
+  importProgress,
+  mergeProgress,
+  validateProgressFile,
+} from '../src/js/progressTransfer.js';
+
+const answer = (submittedAt, extra = {}) => ({ answer: 'x', isCorrect: false, submittedAt, ...extra });
+const file = (extra = {}) => ({ format: PROGRESS_FILE_FORMAT, version: PROGRESS_FILE_VERSION, userAnswers: [], ...extra });
+
+test('validateProgressFile: rejects foreign, newer and malformed files', () => {
+  assert.doesNotThrow(() => validateProgressFile(file()));
+  assert.throws(() => validateProgressFile({ questions: [] }), /not a progress export/);
+  assert.throws(() => validateProgressFile(file({ version: PROGRESS_FILE_VERSION + 1 })), /newer version/);
+  assert.throws(() => validateProgressFile(file({ userAnswers: [{ questionId: 1, answers: [{}] }] })), /userAnswers\[0\]/);
+  assert.throws(() => validateProgressFile(file({ hintUsage: [{ id: 'main:1', questionId: 1, scope: 'main', revealed: ['a'] }] })), /hintUsage\[0\]/);
+  assert.throws(() => validateProgressFile(file({ quizState: { attempt: {} } })), /quizState/);
+});
+
+test('mergeProgress merge: unions history without duplicates and skips unknown questions', () => {
+  const existing = {
+    userAnswers: [{ questionId: 1, answers: [answer('2026-01-02T00:00:00Z')] }],
+    hintUsage: [{ id: 'main:1', questionId: 1, scope: 'main', revealed: [0], revealedAt: ['t'] }],
+    quizState: { attempt: 'local' },
+  };
+  const incoming = file({
+    userAnswers: [
+      { questionId: 1, answers: [answer('2026-01-01T00:00:00Z'), answer('2026-01-02T00:00:00Z')] },
+      { questionId: 99, answers: [answer('2026-01-03T00:00:00Z')] },
+    ],
+    hintUsage: [{ id: 'main:1', questionId: 1, scope: 'main', revealed: [0, 1], revealedAt: ['t', 'u'] }],
+    quizState: { attempt: 'file', examState: 'file' },
+  });
+  const result = mergeProgress(existing, incoming, { mode: 'merge', knownQuestionIds: new Set([1]) });
+  assert.deepEqual(result.userAnswers[0].answers.map((a) => a.submittedAt), ['2026-01-01T00:00:00Z', '2026-01-02T00:00:00Z']);
+  assert.equal(result.userAnswers.length, 1);
+  assert.deepEqual(result.hintUsage[0].revealed, [0, 1]);
+  assert.deepEqual(result.quizState, { attempt: 'local', examState: 'file' });
+  assert.deepEqual(result.report, { importedAnswers: 1, skippedAnswers: 1, unknownQuestionIds: [99] });
+});
+
+test('mergeProgress replace: keeps only the file data', () => {
+  const existing = {
+    userAnswers: [{ questionId: 2, answers: [answer('2026-01-02T00:00:00Z')] }],
+    hintUsage: [{ id: 'main:2', questionId: 2, scope: 'main', revealed: [0], revealedAt: ['t'] }],
+    quizState: { attempt: 'local' },
+  };
+  const incoming = file({ userAnswers: [{ questionId: 1, answers: [answer('2026-01-01T00:00:00Z')] }] });
+  const result = mergeProgress(existing, incoming, { mode: 'replace' });
+  assert.deepEqual(result.userAnswers.map((r) => r.questionId), [1]);
+  assert.deepEqual(result.hintUsage, []);
+  assert.deepEqual(result.quizState, {});
+});
+
+test('mergeProgress merge: a duplicate submission with a later updatedAt replaces the local copy', () => {
+  const existing = {
+    userAnswers: [{ questionId: 1, answers: [answer('2026-01-01T00:00:00Z', { grade: 4 })] }],
+    hintUsage: [],
+    quizState: {},
+  };
+  const incoming = file({
+    userAnswers: [{ questionId: 1, answers: [answer('2026-01-01T00:00:00Z', { grade: 8, updatedAt: '2026-01-03T00:00:00Z' })] }],
+  });
+  const result = mergeProgress(existing, incoming, { mode: 'merge' });
+  assert.deepEqual(result.userAnswers[0].answers.map((a) => a.grade), [8]);
+  assert.equal(result.report.importedAnswers, 0);
+});
+
+test('importProgress writes answers and hints in one transaction and leaves everything as it was when it fails', async () => {
+  const items = new Map([['attempt', 'local']]);
+  globalThis.localStorage = {
+    get length() { return items.size; },
+    key: (i) => [...items.keys()][i] ?? null,
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+  const stored = { questions: [], userAnswers: [{ questionId: 1, answers: [answer('2026-01-01T00:00:00Z')] }], hintUsage: [] };
+  Storage.getAll = async (store) => stored[store];
+  const writes = [];
+  Storage.replaceStores = async (recordsByStore) => {
+    writes.push(recordsByStore);
+    throw new DOMException('Quota exceeded', 'QuotaExceededError');
+  };
+  const incoming = file({ userAnswers: [{ questionId: 2, answers: [answer('2026-01-02T00:00:00Z')] }], quizState: { attempt: 'imported' } });
+
+  await assert.rejects(importProgress(incoming, { mode: 'replace' }), { name: 'QuotaExceededError' });
+  assert.deepEqual(Object.keys(writes[0]), ['userAnswers', 'hintUsage']);
+  assert.deepEqual(writes[0].userAnswers.map((r) => r.questionId), [2]);
+  assert.equal(items.get('attempt'), 'local');
+
+  Storage.replaceStores = async (recordsByStore) => { writes.push(recordsByStore); };
+  const report = await importProgress(incoming, { mode: 'merge' });
+  assert.equal(report.importedAnswers, 1);
+  assert.deepEqual(writes[1].userAnswers.map((r) => r.questionId), [1, 2]);
+  assert.equal(items.get('attempt'), 'local');
+});
@@ -0,0 +1,65 @@
+/**
+ * Node built-in tests for where Quiz.init resumes a started attempt after a reload (display order, including
+ * shuffled attempts), with an in-memory Storage and localStorage and no network.
+ */
+import assert from 'node:assert/strict';
+import test, { beforeEach } from 'node:test';
+import Storage from '../src/js/Storage.js';
+import { Quiz } from '../src/js/Quiz.js';
+
+// With seed 3 the shuffled attempt shows questions 4, 1, 2, 3
+const SEED = 3;
+let stores;
+
+beforeEach(() => {
+  stores = {
+    questions: new Map([1, 2, 3, 4].map((id) => [id, { id, version: 1, type: 'objective', question: `Q${id}`, expectedAnswer: 'a' }])),
+    userAnswers: new Map(),
+  };
+  Storage.getAll = async (store) => [...stores[store].values()].map((v) => structuredClone(v));
+  Storage.getAllByIndex = async () => [];
+  const items = new Map();
+  globalThis.localStorage = {
+    get length() { return items.size; },
+    key: (i) => [...items.keys()][i] ?? null,
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+  globalThis.fetch = async () => { throw new TypeError('Failed to fetch'); };
+});
+
+/** Starts the shuffled attempt and records answers, as a previous page load would have. */
+function answer(results) {
+  new Quiz().startAttempt({ shuffleQuestions: true }, SEED);
+  for (const [questionId, isCorrect] of results) {
+    stores.userAnswers.set(questionId, { questionId, answers: [{ questionId, answer: 'a', isCorrect, submittedAt: '2026-01-01T00:00:00Z' }] });
+  }
+}
+
+async function reload() {
+  const quiz = new Quiz();
+  await quiz.init();
+  return quiz;
+}
+
+test('a shuffled attempt resumes on the last shown question when its answer was wrong', async () => {
+  answer([[4, true], [1, false]]);
+  const quiz = await reload();
+  assert.deepEqual(quiz.questions.map((q) => q.id), [4, 1, 2, 3]);
+  assert.equal(quiz.questions[quiz.currentQuestionIndex].id, 1);
+});
+
+test('a shuffled attempt resumes after the last shown question when its answer was right', async () => {
+  answer([[4, false], [1, true]]);
+  const quiz = await reload();
+  assert.equal(quiz.questions[quiz.currentQuestionIndex].id, 2);
+  assert.equal(quiz.isQuizCompleted(), false);
+});
+
+test('a fully answered attempt resumes on its last question, completed', async () => {
+  answer([[4, true], [1, true], [2, false], [3, true]]);
+  const quiz = await reload();
+  assert.equal(quiz.questions[quiz.currentQuestionIndex].id, 3);
+  assert.equal(quiz.isQuizCompleted(), true);
+});
@@ -0,0 +1,55 @@
+/**
+ * Node built-in tests for the API's token-bucket rate limits (server/lib/rateLimit.js).
+ */
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { createTokenBucket, parseRateLimit, rateLimit } from '../server/lib/rateLimit.js';
+
+test('parseRateLimit reads <requests>/<period> and off', () => {
+  assert.deepEqual(parseRateLimit('30/minute'), { capacity: 30, refillPerSecond: 0.5 });
+  assert.deepEqual(parseRateLimit(undefined, '10/hours'), { capacity: 10, refillPerSecond: 10 / 3600 });
+  assert.equal(parseRateLimit('off'), null);
+  assert.throws(() => parseRateLimit('30 per minute'), /Invalid rate limit/);
+});
+
+test('createTokenBucket allows bursts up to capacity, then refills over time', () => {
+  let clock = 0;
+  const bucket = createTokenBucket({ capacity: 2, refillPerSecond: 0.5 }, { now: () => clock });
+  assert.equal(bucket.take('a').allowed, true);
+  assert.equal(bucket.take('a').allowed, true);
+  assert.deepEqual(bucket.take('a'), { allowed: false, retryAfterSeconds: 2 });
+  assert.equal(bucket.take('b').allowed, true);
+  clock = 2000;
+  assert.equal(bucket.take('a').allowed, true);
+});
+
+test('rateLimit answers 429 with Retry-After when the IP or the learner is over its limit', () => {
+  const clock = () => 0;
+  const middleware = rateLimit({
+    perIp: { capacity: 2, refillPerSecond: 1 },
+    perLearner: { capacity: 1, refillPerSecond: 0.1 },
+    learnerId: (req) => req.learner,
+    body: { contractVersion: 1 },
+    now: clock,
+  });
+  const call = (req) => {
+    const res = {
+      headers: {},
+      set(name, value) { this.headers[name] = value; return this; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; },
+    };
+    let passed = false;
+    middleware(req, res, () => { passed = true; });
+    return { passed, res };
+  };
+
+  assert.equal(call({ ip: '1.1.1.1', learner: 'x' }).passed, true);
+  const learnerLimited = call({ ip: '2.2.2.2', learner: 'x' });
+  assert.equal(learnerLimited.passed, false);
+  assert.equal(learnerLimited.res.statusCode, 429);
+  assert.equal(learnerLimited.res.headers['Retry-After'], '10');
+  assert.deepEqual(learnerLimited.res.body, { contractVersion: 1, error: 'Too many requests; try again later', retryAfter: 10 });
+  assert.equal(call({ ip: '1.1.1.1' }).passed, true);
+  assert.equal(call({ ip: '1.1.1.1' }).res.headers['Retry-After'], '1');
+});
@@ -0,0 +1,48 @@
+/**
+ * Node built-in tests for spaced-repetition scheduling (src/js/reviewScheduler.js).
+ */
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { attemptQuality, getDueQuestions, scheduleFromHistory } from '../src/js/reviewScheduler.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const day = (n) => new Date(Date.UTC(2026, 0, 1) + n * DAY_MS).toISOString();
+
+test('attemptQuality: grade and hints lower quality; correct stays >= 3', () => {
+  assert.equal(attemptQuality({ isCorrect: true }), 5);
+  assert.equal(attemptQuality({ isCorrect: true, grade: 7 }), 4);
+  assert.equal(attemptQuality({ isCorrect: true, hintsUsed: 4 }), 3);
+  assert.equal(attemptQuality({ isCorrect: false, grade: 6 }), 2);
+  assert.equal(attemptQuality({ isCorrect: false, hintsUsed: 1 }), 0);
+});
+
+test('scheduleFromHistory: intervals grow 1 → 6 → ease × interval, reset on failure', () => {
+  assert.equal(scheduleFromHistory([]), null);
+  const first = scheduleFromHistory([{ isCorrect: true, submittedAt: day(0) }]);
+  assert.equal(first.intervalDays, 1);
+  assert.equal(first.dueAt.toISOString(), day(1));
+
+  const third = scheduleFromHistory([
+    { isCorrect: true, submittedAt: day(0) },
+    { isCorrect: true, submittedAt: day(1) },
+    { isCorrect: true, submittedAt: day(7) },
+  ]);
+  assert.equal(third.intervalDays, Math.round(6 * 2.7));
+
+  const failed = scheduleFromHistory([
+    { isCorrect: true, submittedAt: day(0) },
+    { isCorrect: false, submittedAt: day(1) },
+  ]);
+  assert.equal(failed.repetitions, 0);
+  assert.equal(failed.intervalDays, 1);
+});
+
+test('getDueQuestions: only answered questions past due, most overdue first', () => {
+  const questions = [{ id: 1 }, { id: 2 }, { id: 3 }];
+  const answers = new Map([
+    [1, [{ isCorrect: true, submittedAt: day(0) }, { isCorrect: true, submittedAt: day(1) }]], // due day 7
+    [2, [{ isCorrect: false, submittedAt: day(2) }]], // due day 3
+  ]);
+  assert.deepEqual(getDueQuestions(questions, answers, new Date(day(5))).map((q) => q.id), [2]);
+  assert.deepEqual(getDueQuestions(questions, answers, new Date(day(8))).map((q) => q.id), [2, 1]);
+});
@@ -0,0 +1,36 @@
+/**
+ * Node built-in tests for the service worker precache list that the production build writes into sw.js
+ * (serviceWorkerPrecachePlugin in vite.config.js). Runs a full `vite build` into a temporary directory.
+ */
+import assert from 'node:assert/strict';
+import { existsSync } from 'fs';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import test from 'node:test';
+import { build } from 'vite';
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+test('the built sw.js precaches both HTML pages and only files present in the build', async (t) => {
+  const outDir = await mkdtemp(path.join(tmpdir(), 'quiz-build-'));
+  t.after(() => rm(outDir, { recursive: true, force: true }));
+  await build({
+    configFile: path.join(root, 'vite.config.js'),
+    root: path.join(root, 'src'),
+    logLevel: 'silent',
+    build: { outDir, emptyOutDir: true },
+  });
+
+  const sw = await readFile(path.join(outDir, 'sw.js'), 'utf-8');
+  const precacheUrls = JSON.parse(sw.match(/^const PRECACHE_URLS = (\[.*\]);$/m)[1]);
+  assert.ok(precacheUrls.includes('/index.html'));
+  assert.ok(precacheUrls.includes('/submit-question.html'));
+  assert.ok(precacheUrls.some((url) => /^\/assets\/sqlWorker-.*\.js$/.test(url)));
+  assert.ok(!precacheUrls.some((url) => url.endsWith('.map') || url === '/questions.json'));
+  for (const url of precacheUrls) {
+    assert.ok(existsSync(path.join(outDir, url)), `${url} is in the build`);
+  }
+  assert.match(sw, /^const BUILD_VERSION = "[0-9a-f]{16}";$/m);
+});
@@ -0,0 +1,34 @@
+/**
+ * Node built-in tests for deterministic shuffling (src/js/shuffle.js).
+ */
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { drawFromPool, seededDerangedOrder, seededShuffle } from '../src/js/shuffle.js';
+
+const items = ['a', 'b', 'c', 'd', 'e'];
+
+test('seededShuffle: same seed, same order; input untouched', () => {
+  assert.deepEqual(seededShuffle(items, 'seed-1'), seededShuffle(items, 'seed-1'));
+  assert.deepEqual([...seededShuffle(items, 42)].sort(), items);
+  assert.deepEqual(items, ['a', 'b', 'c', 'd', 'e']);
+});
+
+test('seededDerangedOrder: never returns the original order', () => {
+  for (let seed = 0; seed < 50; seed++) {
+    assert.notDeepEqual(seededDerangedOrder(['x', 'y'], seed), ['x', 'y']);
+  }
+});
+
+test('drawFromPool: reproducible draws, pool order kept unless shuffled', () => {
+  assert.deepEqual(drawFromPool(items, 7), items);
+  assert.deepEqual(drawFromPool(items, 7, { shuffle: true }), seededShuffle(items, 7));
+
+  const drawn = drawFromPool(items, 7, { count: 3 });
+  assert.equal(drawn.length, 3);
+  assert.deepEqual(drawn, drawFromPool(items, 7, { count: 3 }));
+  assert.deepEqual(drawn, items.filter((item) => drawn.includes(item)));
+
+  const shuffledDraw = drawFromPool(items, 7, { shuffle: true, count: 3 });
+  assert.deepEqual([...shuffledDraw].sort(), [...drawn].sort());
+  assert.equal(drawFromPool(items, 7, { count: 99 }).length, items.length);
+});
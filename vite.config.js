@@ -2,6 +2,7 @@ import { defineConfig, loadEnv } from 'vite';
 import { resolve } from 'path';
 import { readFileSync, writeFileSync } from 'fs';
 import { join } from 'path';
+import { createHash } from 'crypto';
 
 export default defineConfig(({ command, mode }) => {
   const isProduction = mode === 'production';
@@ -14,12 +15,12 @@ export default defineConfig(({ command, mode }) => {
   // Note: We can't use 'define' for these files because they're static files
   // copied from publicDir and don't go through Vite's bundler.
   // Instead, we use the same loadEnv mechanism and replace placeholders after build.
-  /** Serves index.html for /question/:slug (dev + vite preview; production uses vercel.json). */
+  /** Serves index.html for /question/:slug, /label/:labels and /deck/:slug (dev + vite preview; production uses vercel.json). */
   const questionRouteFallbackPlugin = () => {
     const rewriteQuestionRoutes = (req, res, next) => {
       const raw = req.url || '';
       const urlPath = raw.split('?')[0];
-      if (urlPath.match(/^\/question\/[^/]+\/?$/)) {
+      if (urlPath.match(/^\/(question|label|deck)\/[^/]+\/?$/)) {
         const query = raw.includes('?') ? '?' + raw.split('?')[1] : '';
         req.url = '/index.html' + query;
       }
@@ -37,10 +38,13 @@ export default defineConfig(({ command, mode }) => {
   };
 
   const replaceSiteUrlPlugin = () => {
+    let distDir = resolve(__dirname, 'dist');
     return {
       name: 'replace-site-url',
+      writeBundle(options) {
+        distDir = options.dir || distDir;
+      },
       closeBundle() {
-        const distDir = resolve(__dirname, 'dist');
         const robotsPath = join(distDir, 'robots.txt');
         const sitemapPath = join(distDir, 'sitemap.xml');
 
@@ -65,6 +69,51 @@ export default defineConfig(({ command, mode }) => {
     };
   };
 
+  /**
+   * Fills the precache list and build version of dist/sw.js (src/public/sw.js) after the build.
+   * Every file written to dist for the bundle (the HTML pages, JS, CSS, wasm and the SQL worker) is
+   * precached except source maps, so the app runs offline; of the public files only the manifest and
+   * icon are, and questions.json and decks.json are left to the worker's stale-while-revalidate handling.
+   * The list is taken in writeBundle because the HTML pages are only added to the bundle after
+   * generateBundle hooks like this one have run.
+   * The version hashes the precached files, so any change installs a new worker ("update available").
+   */
+  const serviceWorkerPrecachePlugin = () => {
+    // Files copied from publicDir are not in the bundle
+    const precachedPublicFiles = ['manifest.webmanifest', 'icons/icon.svg'];
+    let distDir = resolve(__dirname, 'dist');
+    let writtenFiles = [];
+    return {
+      name: 'service-worker-precache',
+      apply: 'build',
+      writeBundle(options, bundle) {
+        distDir = options.dir || distDir;
+        writtenFiles = [
+          ...Object.keys(bundle).filter((fileName) => !fileName.endsWith('.map')),
+          ...precachedPublicFiles,
+        ];
+      },
+      closeBundle() {
+        const swPath = join(distDir, 'sw.js');
+        const hash = createHash('sha256');
+        for (const fileName of [...writtenFiles].sort()) {
+          hash.update(fileName);
+          hash.update(readFileSync(join(distDir, fileName)));
+        }
+        const precacheUrls = writtenFiles.map((fileName) => `/${fileName}`);
+        try {
+          let swContent = readFileSync(swPath, 'utf-8');
+          swContent = swContent
+            .replace("'__SW_BUILD_VERSION__'", JSON.stringify(hash.digest('hex').slice(0, 16)))
+            .replace('[/* __SW_PRECACHE_URLS__ */]', JSON.stringify(precacheUrls));
+          writeFileSync(swPath, swContent, 'utf-8');
+        } catch (error) {
+          console.warn('Could not update sw.js:', error.message);
+        }
+      }
+    };
+  };
+
   return {
     root: 'src',
     // Root-relative asset URLs (/assets/...) so JS/CSS load on deep routes like /question/:slug.
@@ -88,6 +137,10 @@ export default defineConfig(({ command, mode }) => {
           target: 'http://localhost:8000',
           changeOrigin: true,
         },
+        '^/progress(/|$)': {
+          target: 'http://localhost:8000',
+          changeOrigin: true,
+        },
       },
     },
 
@@ -106,6 +159,11 @@ export default defineConfig(({ command, mode }) => {
       chunkSizeWarningLimit: 1000,
     },
 
+    // The SQL grading worker (src/js/sqlWorker.js) lazy-loads sql.js, which needs ES module workers
+    worker: {
+      format: 'es',
+    },
+
     // Handle static assets
     publicDir: 'public',
 
@@ -122,6 +180,11 @@ export default defineConfig(({ command, mode }) => {
         isProduction
           ? env.VITE_QUESTION_SUBMIT_API
           : '/submit-question'
+      ),
+      'process.env.VITE_PROGRESS_SYNC_API': JSON.stringify(
+        isProduction
+          ? env.VITE_PROGRESS_SYNC_API
+          : '/progress'
       )
     },
 
@@ -129,6 +192,6 @@ export default defineConfig(({ command, mode }) => {
         devSourcemap: true, // Enable CSS sourcemaps in development
     },
     
-    plugins: [questionRouteFallbackPlugin(), replaceSiteUrlPlugin()]
+    plugins: [questionRouteFallbackPlugin(), replaceSiteUrlPlugin(), serviceWorkerPrecachePlugin()]
   };
 });
\ No newline at end of file